@@ -9,6 +9,12 @@ const fs = require('fs');
 const DEFAULT_SETTINGS = {
   /** Frames per second for video sampling (e.g. 1 = one frame per second). */
   fps: 1,
+  /** Frame sampling: 'uniform' (every frame at fps) | 'adaptive' (keep frames around visual changes). */
+  sampling: 'uniform',
+  /** Adaptive sampling: min normalized pixel difference (0-1) between frames that counts as a visual change. */
+  changeThreshold: 0.02,
+  /** Adaptive sampling: max frames kept after change detection (per-request frame budget). */
+  frameBudget: 20,
   /** Persona for the VLM: 'ux-designer' | 'qa-engineer' | 'none' */
   persona: 'ux-designer',
   /** Evaluation strategy: 'single' (one call per assertion) | 'batch' (all in one call) | 'two-pass' (describe then evaluate). */
@@ -17,19 +23,56 @@ const DEFAULT_SETTINGS = {
   model: 'claude-sonnet-4-5',
   /** Max tokens for Claude responses. */
   maxTokens: 8192,
+  /** VLM provider: 'anthropic' (Claude API) | 'mock' (canned responses from fixtures, no network). */
+  provider: 'anthropic',
+  /** Mock provider: path to a fixture JSON file or directory of fixture files. */
+  mockFixtures: null,
+  /** Max model calls in flight at once (single: one per assertion; batch / two-pass: one per time window). */
+  concurrency: 4,
+  /** Retries for rate-limited (429), overloaded or failed (5xx) model calls, with exponential backoff. */
+  maxRetries: 4,
+  /** Delay before the first retry in ms; doubles on each further retry. */
+  retryBaseDelayMs: 1000,
+  /** Re-asks when a model response is not valid JSON (the parse error is fed back to the model). */
+  jsonRepairAttempts: 1,
+  /** Model call cache: 'off' | 'read' (use cache, record misses) | 'write' (always call, record) | 'replay' (cache only). */
+  cache: 'off',
+  /** Directory for cached model responses. */
+  cacheDir: '.cache/vlm',
+  /** Times to run the strategy; with more than one run verdicts are combined by consensus. */
+  runs: 1,
+  /** Multi-run consensus: 'majority' (most common verdict) | 'weighted' (verdicts weighted by confidence). */
+  consensus: 'majority',
+  /** Locate each test step in the recording first and judge its assertions on that segment only. */
+  segmentSteps: false,
 };
 
 /** Strategies that are implemented and can be used for testing. */
 const SUPPORTED_STRATEGIES = ['two-pass', 'batch', 'single'];
 
+/** VLM providers (see src/providers.js). */
+const SUPPORTED_PROVIDERS = ['anthropic', 'mock'];
+
+/** Model call cache modes (see src/cache.js). */
+const SUPPORTED_CACHE_MODES = ['off', 'read', 'write', 'replay'];
+
+/** Multi-run consensus methods (see src/consensus.js). */
+const SUPPORTED_CONSENSUS_METHODS = ['majority', 'weighted'];
+
+/** Frame sampling modes supported by extractFrames. */
+const SUPPORTED_SAMPLING_MODES = ['uniform', 'adaptive'];
+
 const CONFIG_FILE = path.join(process.cwd(), 'validator.config.json');
 
 /**
  * Load settings: defaults, then config file (if present), then env/CLI overrides.
  * @param {object} overrides - Optional overrides (e.g. from CLI).
+ * @param {{ onWarning?: (message: string) => void }} [opts] - Receives problems that do not stop
+ *   loading (an unreadable config file, an unknown strategy).
  * @returns {object} Merged settings.
  */
-function loadSettings(overrides = {}) {
+function loadSettings(overrides = {}, opts = {}) {
+  const { onWarning = () => {} } = opts;
   let settings = { ...DEFAULT_SETTINGS };
 
   if (fs.existsSync(CONFIG_FILE)) {
@@ -38,7 +81,7 @@ function loadSettings(overrides = {}) {
       const fileConfig = JSON.parse(content);
       settings = { ...settings, ...fileConfig };
     } catch (e) {
-      console.warn('Warning: could not parse validator.config.json:', e.message);
+      onWarning(`could not parse validator.config.json: ${e.message}`);
     }
   }
 
@@ -54,11 +97,19 @@ function loadSettings(overrides = {}) {
   if (process.env.VALIDATOR_STRATEGY) {
     settings.strategy = process.env.VALIDATOR_STRATEGY;
   }
+  if (process.env.VALIDATOR_PROVIDER) {
+    const p = process.env.VALIDATOR_PROVIDER.toLowerCase();
+    if (SUPPORTED_PROVIDERS.includes(p)) settings.provider = p;
+  }
+  if (process.env.VALIDATOR_SAMPLING) {
+    const s = process.env.VALIDATOR_SAMPLING.toLowerCase();
+    if (SUPPORTED_SAMPLING_MODES.includes(s)) settings.sampling = s;
+  }
 
   const merged = { ...settings, ...overrides };
   if (!SUPPORTED_STRATEGIES.includes(merged.strategy)) {
-    console.warn(
-      `Warning: strategy "${merged.strategy}" is not implemented. Supported: ${SUPPORTED_STRATEGIES.join(', ')}. Using "${merged.strategy}" anyway (may behave as two-pass).`
+    onWarning(
+      `strategy "${merged.strategy}" is not implemented. Supported: ${SUPPORTED_STRATEGIES.join(', ')}. Using "${merged.strategy}" anyway (may behave as two-pass).`
     );
   }
   return merged;
@@ -67,6 +118,10 @@ function loadSettings(overrides = {}) {
 module.exports = {
   DEFAULT_SETTINGS,
   SUPPORTED_STRATEGIES,
+  SUPPORTED_SAMPLING_MODES,
+  SUPPORTED_PROVIDERS,
+  SUPPORTED_CACHE_MODES,
+  SUPPORTED_CONSENSUS_METHODS,
   loadSettings,
   CONFIG_FILE,
 };
@@ -0,0 +1,233 @@
+/**
+ * Strict validation of assertions files against schemas/assertions.schema.json, plus checks a
+ * JSON Schema cannot express (unique ids, one description per test step, time windows that end
+ * after they start, flows / timings only on assertions of that type).
+ * Problems are reported with line/column positions in the source file.
+ * Errors (schema violations, duplicate ids, empty time windows, a flow or timing on an assertion
+ * of another type, timing bounds that cannot both hold) make a file unusable; warnings (missing ids, conflicting step descriptions, unused steps, a
+ * max delay on the first flow state) do not, but the result may not be what the author meant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { locateJsonPointers, getSyntaxErrorPosition } = require('./jsonLocator');
+const { AssertionsError } = require('./errors');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'assertions.schema.json');
+
+let compiledSchema;
+
+function getValidator() {
+  if (!compiledSchema) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    compiledSchema = ajv.compile(schema);
+  }
+  return compiledSchema;
+}
+
+/**
+ * Turn an Ajv error into a readable message.
+ */
+function describeSchemaError(err) {
+  switch (err.keyword) {
+    case 'required':
+      return `missing required property "${err.params.missingProperty}"`;
+    case 'additionalProperties':
+      return `unknown property "${err.params.additionalProperty}"`;
+    case 'enum':
+      return `must be one of: ${err.params.allowedValues.join(', ')}`;
+    case 'type':
+      return `must be ${err.params.type}`;
+    case 'minLength':
+      return 'must not be empty';
+    case 'minItems':
+      return `must contain at least ${err.params.limit} item(s)`;
+    default:
+      return err.message;
+  }
+}
+
+/**
+ * Drop Ajv errors that only restate a failed oneOf branch, keeping the branch the data most
+ * likely meant (array vs. { assertions } object).
+ */
+function pickSchemaErrors(errors, data) {
+  const wrapped = data && typeof data === 'object' && !Array.isArray(data);
+  const relevant = errors.filter((e) => {
+    if (e.keyword === 'oneOf' || e.keyword === 'if' || e.keyword === 'anyOf') return false;
+    // Branches of timing's anyOf (maxSeconds / minSeconds); reported once by lintAssertionsSource.
+    if (e.schemaPath.startsWith('#/definitions/timing/anyOf')) return false;
+    if (e.instancePath === '' && e.keyword === 'type') return false;
+    // Errors from the other oneOf branch (array root vs. object root) are noise.
+    const fromObjectBranch = e.schemaPath.startsWith('#/oneOf/1');
+    return wrapped ? fromObjectBranch || e.schemaPath.startsWith('#/definitions') : !fromObjectBranch;
+  });
+  if (relevant.length === 0 && errors.length > 0) {
+    return [{ instancePath: '', keyword: 'type', message: 'must be an array of assertions or an object with an "assertions" array', params: {} }];
+  }
+  return relevant;
+}
+
+function makeProblem(severity, pointer, message, positions) {
+  let position = positions.get(pointer);
+  // Missing properties have no position of their own: point at the closest parent.
+  let p = pointer;
+  while (!position && p) {
+    p = p.slice(0, p.lastIndexOf('/'));
+    position = positions.get(p);
+  }
+  return {
+    severity,
+    path: pointer || '/',
+    line: position ? position.line : null,
+    column: position ? position.column : null,
+    message,
+  };
+}
+
+/**
+ * Lint assertions JSON source.
+ * @param {string} source - File contents.
+ * @returns {{ data: unknown, problems: Array<{ severity: 'error' | 'warning', path: string, line: number | null, column: number | null, message: string }> }}
+ */
+function lintAssertionsSource(source) {
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (e) {
+    const position = getSyntaxErrorPosition(source, e);
+    return {
+      data: undefined,
+      problems: [{
+        severity: 'error',
+        path: '/',
+        line: position ? position.line : null,
+        column: position ? position.column : null,
+        message: `invalid JSON: ${e.message}`,
+      }],
+    };
+  }
+
+  const positions = locateJsonPointers(source);
+  const problems = [];
+
+  const validate = getValidator();
+  if (!validate(data)) {
+    for (const err of pickSchemaErrors(validate.errors, data)) {
+      const pointer = err.keyword === 'additionalProperties'
+        ? `${err.instancePath}/${err.params.additionalProperty}`
+        : err.instancePath;
+      problems.push(makeProblem('error', pointer, describeSchemaError(err), positions));
+    }
+  }
+
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.assertions) ? data.assertions : []);
+  const base = Array.isArray(data) ? '' : '/assertions';
+  const steps = data && !Array.isArray(data) && data.steps && typeof data.steps === 'object' ? data.steps : {};
+  const usedSteps = new Set();
+  const seenIds = new Map();
+  const stepDescriptions = new Map();
+
+  list.forEach((item, index) => {
+    if (!item || typeof item !== 'object') return;
+    const pointer = `${base}/${index}`;
+
+    if (typeof item.id === 'string') {
+      if (seenIds.has(item.id)) {
+        problems.push(makeProblem('error', `${pointer}/id`, `duplicate id "${item.id}" (first used at ${seenIds.get(item.id)})`, positions));
+      } else {
+        seenIds.set(item.id, `${base}/${index}`);
+      }
+    } else if (item.id === undefined) {
+      problems.push(makeProblem('warning', pointer, `no "id"; it will be generated as "assertion-${index + 1}" and change if assertions are reordered`, positions));
+    }
+
+    if (typeof item.testStepId === 'string' && typeof item.testStepDescription === 'string') {
+      const first = stepDescriptions.get(item.testStepId);
+      if (!first) {
+        stepDescriptions.set(item.testStepId, { description: item.testStepDescription, pointer });
+      } else if (first.description !== item.testStepDescription) {
+        problems.push(makeProblem(
+          'warning',
+          `${pointer}/testStepDescription`,
+          `testStepDescription for step "${item.testStepId}" differs from the one at ${first.pointer}; results use the first one`,
+          positions
+        ));
+      }
+    }
+
+    if (Array.isArray(item.flow)) {
+      if (item.type !== undefined && item.type !== 'flow') {
+        problems.push(makeProblem('error', `${pointer}/type`, `"flow" is only used by flow assertions; remove "type" or set it to "flow"`, positions));
+      }
+      if (item.timing !== undefined) {
+        problems.push(makeProblem('error', `${pointer}/timing`, 'an assertion has either "flow" or "timing", not both', positions));
+      }
+      if (item.flow[0] && item.flow[0].maxDelaySeconds !== undefined) {
+        problems.push(makeProblem('warning', `${pointer}/flow/0/maxDelaySeconds`, 'maxDelaySeconds on the first flow state is ignored (there is no previous state)', positions));
+      }
+    }
+
+    if (item.timing && typeof item.timing === 'object') {
+      if (item.type !== undefined && item.type !== 'timing') {
+        problems.push(makeProblem('error', `${pointer}/type`, `"timing" is only used by timing assertions; remove "type" or set it to "timing"`, positions));
+      }
+      const { minSeconds, maxSeconds } = item.timing;
+      if (minSeconds === undefined && maxSeconds === undefined) {
+        problems.push(makeProblem('error', `${pointer}/timing`, 'timing needs "maxSeconds", "minSeconds" or both', positions));
+      } else if (typeof minSeconds === 'number' && typeof maxSeconds === 'number' && maxSeconds < minSeconds) {
+        problems.push(makeProblem('error', `${pointer}/timing/maxSeconds`, `maxSeconds (${maxSeconds}) is less than minSeconds (${minSeconds})`, positions));
+      }
+    }
+
+    const step = typeof item.testStepId === 'string' ? steps[item.testStepId] : undefined;
+    if (step) usedSteps.add(item.testStepId);
+    const start = item.startSeconds ?? step?.startSeconds;
+    const end = item.endSeconds ?? step?.endSeconds;
+    if (typeof start === 'number' && typeof end === 'number' && end <= start) {
+      const at = item.endSeconds !== undefined ? `${pointer}/endSeconds` : pointer;
+      problems.push(makeProblem('error', at, `time window ends (${end}s) before it starts (${start}s)`, positions));
+    }
+  });
+
+  for (const stepId of Object.keys(steps)) {
+    if (!usedSteps.has(stepId)) {
+      problems.push(makeProblem('warning', `/steps/${stepId.replace(/~/g, '~0').replace(/\//g, '~1')}`, `step "${stepId}" is not used by any assertion`, positions));
+    }
+  }
+
+  problems.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+  return { data, problems };
+}
+
+/**
+ * Lint an assertions file.
+ * @param {string} assertionsPath
+ * @returns {{ path: string, data: unknown, problems: Array<object> }}
+ * @throws {AssertionsError} When the file does not exist.
+ */
+function lintAssertionsFile(assertionsPath) {
+  const resolved = path.resolve(assertionsPath);
+  if (!fs.existsSync(resolved)) {
+    throw new AssertionsError(`Assertions file not found: ${resolved}`);
+  }
+  const source = fs.readFileSync(resolved, 'utf8');
+  return { path: resolved, ...lintAssertionsSource(source) };
+}
+
+/**
+ * Format a problem as "file:line:column  severity  message  (path)".
+ */
+function formatProblem(filePath, problem) {
+  const location = problem.line != null ? `${filePath}:${problem.line}:${problem.column}` : filePath;
+  return `${location}  ${problem.severity}  ${problem.message}  (${problem.path})`;
+}
+
+module.exports = {
+  SCHEMA_PATH,
+  lintAssertionsSource,
+  lintAssertionsFile,
+  formatProblem,
+};
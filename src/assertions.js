@@ -1,45 +1,143 @@
 /**
  * Load and normalize assertions from JSON file.
- * Expected shape: array of { id?, text, type?, testStepId?, testStepDescription? }
+ * Expected shape: array of { id?, text, type?, testStepId?, testStepDescription?, expectedVerdict?,
+ * startSeconds?, endSeconds?, flow?, timing? } (or { assertions: [...], steps?: { <testStepId>: { description?,
+ * startSeconds?, endSeconds? } } }); see schemas/assertions.schema.json.
+ *
+ * A time window (startSeconds / endSeconds, on the assertion or its step; the assertion's win)
+ * limits the assertion to that part of the recording. It is normalized to
+ * `window: { startSeconds, endSeconds }` with endSeconds null meaning "until the end".
+ *
+ * A flow assertion lists the states expected in order, each with an optional max delay after the
+ * previous state: "flow": [{ "state": "Search results list the contact" }, { "state": "The chat
+ * is open", "maxDelaySeconds": 2 }]. It is compiled to `flow: [{ step, state, maxDelaySeconds }]`
+ * (step 1-based, maxDelaySeconds null when unset) and checked by flowEvaluator.js.
+ *
+ * A timing assertion names two visual events and a bound on the time between them:
+ * "timing": { "from": "The user taps send", "to": "Two ticks appear", "maxSeconds": 2 }
+ * (minSeconds and/or maxSeconds). It is normalized with the missing bound as null and measured by
+ * timingEvaluator.js.
  */
 
-const fs = require('fs');
 const path = require('path');
+const { lintAssertionsFile, lintAssertionsSource, formatProblem } = require('./assertionSchema');
+const { AssertionsError } = require('./errors');
 
 /**
- * Load assertions from a JSON file.
+ * Load assertions from a JSON file. The file is validated against the assertions schema first:
+ * errors throw (listing every problem with its position), warnings are passed to onWarning.
  * @param {string} assertionsPath - Path to JSON file.
- * @returns {Array<{ id: string, text: string, type?: string, testStepId?: string, testStepDescription?: string }>}
+ * @param {{ onWarning?: (message: string) => void }} [opts] - Receives the warnings (default: ignored).
+ * @returns {Array<{ id: string, text: string, type?: string, testStepId?: string, testStepDescription?: string, expectedVerdict?: string, window?: { startSeconds: number, endSeconds: number | null }, flow?: Array<{ step: number, state: string, maxDelaySeconds: number | null }>, timing?: { from: string, to: string, minSeconds: number | null, maxSeconds: number | null } }>}
+ * @throws {AssertionsError} When the file is missing or has errors.
  */
-function loadAssertions(assertionsPath) {
-  const resolved = path.resolve(assertionsPath);
-  if (!fs.existsSync(resolved)) {
-    throw new Error(`Assertions file not found: ${resolved}`);
-  }
+function loadAssertions(assertionsPath, opts = {}) {
+  const { path: resolved, data, problems } = lintAssertionsFile(assertionsPath);
+  return normalizeAssertions(data, problems, path.relative(process.cwd(), resolved) || resolved, opts.onWarning);
+}
 
-  const content = fs.readFileSync(resolved, 'utf8');
-  let data;
-  try {
-    data = JSON.parse(content);
-  } catch (e) {
-    throw new Error(`Invalid JSON in assertions file: ${e.message}`);
+/**
+ * Load assertions from parsed content (the array or object form of a file), checked like a file.
+ * @param {unknown} data
+ * @param {string} [displayName] - Name used in problem messages.
+ * @param {{ onWarning?: (message: string) => void }} [opts] - As for loadAssertions.
+ * @returns {Array<object>} Same as loadAssertions.
+ * @throws {AssertionsError} When the content has errors.
+ */
+function parseAssertions(data, displayName = 'assertions', opts = {}) {
+  const { problems } = lintAssertionsSource(JSON.stringify(data, null, 2));
+  return normalizeAssertions(data, problems, displayName, opts.onWarning);
+}
+
+function normalizeAssertions(data, problems, displayPath, onWarning = () => {}) {
+  const errors = problems.filter((p) => p.severity === 'error');
+  if (errors.length > 0) {
+    const lines = errors.map((p) => '  ' + formatProblem(displayPath, p));
+    throw new AssertionsError(`Invalid assertions file (${errors.length} error(s)):\n${lines.join('\n')}`, { problems: errors });
+  }
+  for (const p of problems) {
+    onWarning(formatProblem(displayPath, p));
   }
 
-  const list = Array.isArray(data) ? data : (data.assertions || data.items || []);
+  const list = Array.isArray(data) ? data : data.assertions;
+  const steps = (!Array.isArray(data) && data.steps) || {};
   return list.map((item, index) => {
-    const text = typeof item.text === 'string' ? item.text : (item.assertion || item.description || String(item));
-    const id = item.id || `assertion-${index + 1}`;
-    const type = typeof item.type === 'string' ? item.type : 'concrete';
+    const step = (item.testStepId && steps[item.testStepId]) || {};
+    const window = getWindow(item, step);
     return {
-      id,
-      text,
-      type,
-      testStepId: item.testStepId ?? item.stepId ?? `step-${index + 1}`,
-      testStepDescription: item.testStepDescription ?? item.stepDescription ?? '',
+      id: item.id || `assertion-${index + 1}`,
+      text: item.text,
+      type: item.type || getImpliedType(item),
+      testStepId: item.testStepId ?? `step-${index + 1}`,
+      testStepDescription: item.testStepDescription ?? step.description ?? '',
+      ...(item.expectedVerdict ? { expectedVerdict: item.expectedVerdict } : {}),
+      ...(window ? { window } : {}),
+      ...(item.flow ? { flow: compileFlow(item.flow) } : {}),
+      ...(item.timing ? {
+        timing: {
+          from: item.timing.from,
+          to: item.timing.to,
+          minSeconds: item.timing.minSeconds ?? null,
+          maxSeconds: item.timing.maxSeconds ?? null,
+        },
+      } : {}),
     };
   });
 }
 
+/**
+ * Type of an assertion without an explicit "type".
+ */
+function getImpliedType(item) {
+  if (item.flow) return 'flow';
+  if (item.timing) return 'timing';
+  return 'concrete';
+}
+
+/**
+ * Number the states of a flow and fill in defaults.
+ * @param {Array<{ state: string, maxDelaySeconds?: number }>} flow
+ * @returns {Array<{ step: number, state: string, maxDelaySeconds: number | null }>}
+ */
+function compileFlow(flow) {
+  return flow.map((s, i) => ({
+    step: i + 1,
+    state: s.state,
+    // The first state has nothing to be late after.
+    maxDelaySeconds: i > 0 && s.maxDelaySeconds != null ? s.maxDelaySeconds : null,
+  }));
+}
+
+/**
+ * Time window of an assertion, or null when neither it nor its step sets one.
+ */
+function getWindow(item, step) {
+  const start = item.startSeconds ?? step.startSeconds;
+  const end = item.endSeconds ?? step.endSeconds;
+  if (start == null && end == null) return null;
+  return { startSeconds: start ?? 0, endSeconds: end ?? null };
+}
+
+/**
+ * Whether a timestamp falls inside an assertion's window (always true without one).
+ * @param {{ startSeconds: number, endSeconds: number | null } | undefined} window
+ * @param {number} seconds
+ * @returns {boolean}
+ */
+function isInWindow(window, seconds) {
+  if (!window) return true;
+  return seconds >= window.startSeconds && (window.endSeconds == null || seconds <= window.endSeconds);
+}
+
+/**
+ * "12s–20s" / "from 12s" label for a window.
+ * @param {{ startSeconds: number, endSeconds: number | null }} window
+ * @returns {string}
+ */
+function formatWindow(window) {
+  return window.endSeconds == null ? `from ${window.startSeconds}s` : `${window.startSeconds}s–${window.endSeconds}s`;
+}
+
 /**
  * Group assertions by testStepId for output.
  * @param {Array<{ id: string, text: string, testStepId?: string, testStepDescription?: string }>} assertions
@@ -63,5 +161,8 @@ function groupByTestStep(assertions) {
 
 module.exports = {
   loadAssertions,
+  parseAssertions,
   groupByTestStep,
+  isInWindow,
+  formatWindow,
 };
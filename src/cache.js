@@ -0,0 +1,123 @@
+/**
+ * Content-addressed record/replay cache for model calls.
+ * Wraps a provider; the key is a hash of provider name, model, max tokens, system prompt and
+ * message content, with image data replaced by its own hash so keys stay small and stable.
+ * Responses recorded with one provider (e.g. mock) or a smaller maxTokens are never served to another.
+ *
+ * Modes:
+ * - off: no caching.
+ * - read: serve from cache when present; otherwise call the provider and store the response.
+ * - write: always call the provider and store (refresh) the response.
+ * - replay: serve only from cache; a miss is an error (reproduces a recorded run exactly).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Replace base64 image data in content blocks with its hash.
+ * @param {Array<object>} messages
+ * @returns {Array<object>}
+ */
+function normalizeMessages(messages) {
+  return messages.map((m) => {
+    if (!Array.isArray(m.content)) return m;
+    return {
+      ...m,
+      content: m.content.map((block) => {
+        if (block.type === 'image' && block.source?.type === 'base64') {
+          return {
+            type: 'image',
+            source: { type: 'base64', media_type: block.source.media_type, sha256: sha256(block.source.data) },
+          };
+        }
+        return block;
+      }),
+    };
+  });
+}
+
+/**
+ * Cache key for a provider request. Repeated runs (--runs) add their run number so each run
+ * records its own response; run 0 keeps the plain key.
+ * @param {{ model: string, maxTokens: number, system: string, messages: Array<object>, meta?: { run?: number } }} request
+ * @param {string} providerName - e.g. 'anthropic' or 'mock'.
+ * @returns {string} Hex sha256.
+ */
+function getCacheKey(request, providerName) {
+  const { model, maxTokens, system, messages } = request;
+  const run = request.meta?.run;
+  return sha256(JSON.stringify({
+    provider: providerName,
+    model,
+    maxTokens,
+    system,
+    messages: normalizeMessages(messages),
+    ...(run ? { run } : {}),
+  }));
+}
+
+function getEntryPath(dir, key) {
+  return path.join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Wrap a provider with the cache.
+ * @param {{ name: string, send: Function } | null} provider - May be null in replay mode (no calls are made).
+ * @param {{ mode: string, dir: string, providerName?: string }} opts - providerName: provider the
+ *   entries are keyed by (default provider.name); needed in replay mode, where there is no provider.
+ * @returns {{ name: string, send: Function }}
+ */
+function withCache(provider, opts) {
+  const { mode, dir } = opts;
+  const providerName = opts.providerName || (provider && provider.name);
+  if (!mode || mode === 'off') return provider;
+  if (!provider && mode !== 'replay') {
+    throw new Error(`Cache mode "${mode}" needs a provider`);
+  }
+  const cacheDir = path.resolve(dir);
+
+  async function send(request) {
+    const key = getCacheKey(request, providerName);
+    const entryPath = getEntryPath(cacheDir, key);
+
+    if (mode === 'read' || mode === 'replay') {
+      if (fs.existsSync(entryPath)) {
+        const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+        return { ...entry.response, cached: true, cacheKey: key };
+      }
+      if (mode === 'replay') {
+        const label = request.meta?.label || 'request';
+        throw new Error(`Cache miss in replay mode for ${label} (key ${key.slice(0, 12)}). Record the run first with --cache write.`);
+      }
+    }
+
+    const response = await provider.send(request);
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    fs.writeFileSync(entryPath, JSON.stringify({
+      key,
+      createdAt: new Date().toISOString(),
+      provider: providerName,
+      request: {
+        model: request.model,
+        label: request.meta?.label || null,
+        assertionId: request.meta?.assertionId || null,
+        ...(request.meta?.run ? { run: request.meta.run } : {}),
+      },
+      response,
+    }, null, 2), 'utf8');
+    return { ...response, cached: false, cacheKey: key };
+  }
+
+  return { name: provider ? provider.name : 'replay', send };
+}
+
+module.exports = {
+  withCache,
+  getCacheKey,
+};
@@ -1,9 +1,25 @@
 /**
  * Claude-based agent: two-pass flow (timeline description, then assertion evaluation).
+ * Also implements the single (per-assertion) and batch strategies.
  * Persona is applied via prompts; supports ux-designer, qa-engineer, none.
+ * Assertions with a time window (see assertions.js) are judged on the frames / timeline entries
+ * inside it only; assertions sharing a window share calls.
+ *
+ * Progress: opts.onProgress receives
+ * - { type: 'call-started', label, assertionId?, call, totalCalls } before each model call
+ * - { type: 'call-retry', label, assertionId?, call, attempt, maxRetries, delayMs, error } before a
+ *   failed call is retried (see retry.js)
+ * - { type: 'call-completed', label, assertionId?, call, totalCalls, durationMs, cached } or, when
+ *   the call failed, { ..., error } after it; totalCalls is the pipeline's planned calls and
+ *   grows when a response has to be re-asked
+ * - { type: 'assertion-completed', assertionId, verdict, confidence, completed, totalAssertions }
+ *   once an assertion has its evaluation (verdict is the model's, before validation; 'missing'
+ *   when the assertion could not be evaluated)
+ * Cancellation: when opts.signal (AbortSignal) is aborted, in-flight calls are cancelled and no new
+ * calls are made; assertions without an evaluation by then are missing with the abort reason.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
+const crypto = require('crypto');
 const {
   getTimelineSystemPrompt,
   getTimelineUserPrompt,
@@ -13,43 +29,33 @@ const {
   getBatchUserPromptIntro,
   getSingleAssertionSystemPrompt,
   getSingleAssertionUserPromptIntro,
+  getBatchAssertionsPrompt,
+  getSingleAssertionPrompt,
 } = require('./prompts');
 const { readFileAsBase64 } = require('./videoProcessor');
+const { mapWithConcurrency } = require('./concurrency');
+const { isInWindow, formatWindow } = require('./assertions');
+const { CancelledError, getAbortReason, throwIfAborted } = require('./errors');
+const { MAX_FRAMES_PER_TIMELINE_REQUEST, sampleFramesEvenly, framesInWindow } = require('./frameSelection');
 
-/** Max frames to send in one timeline request to avoid token/API limits. */
-const MAX_FRAMES_PER_TIMELINE_REQUEST = 20;
+/** Frames shared by consecutive timeline windows, so a transition at a window boundary is seen in both. */
+const TIMELINE_WINDOW_OVERLAP_FRAMES = 2;
 
 /**
- * Sample frames evenly to stay under maxFrames.
+ * Build caption + image blocks for frames (sampled evenly down to MAX_FRAMES_PER_TIMELINE_REQUEST).
+ * Reads and base64-encodes each frame; callers that send the same frames several times should build once.
  * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} frames
- * @param {number} maxFrames
- * @returns {typeof frames}
+ * @returns {Array<object>} Alternating text caption and image blocks.
  */
-function sampleFramesEvenly(frames, maxFrames) {
-  if (frames.length <= maxFrames) return frames;
-  const step = (frames.length - 1) / (maxFrames - 1);
-  const indices = [];
-  for (let i = 0; i < maxFrames; i++) {
-    const idx = Math.round(i * step);
-    indices.push(Math.min(idx, frames.length - 1));
-  }
-  return indices.map((i) => frames[i]);
-}
-
-/**
- * Build content array for timeline: text prompt + alternating text captions and image blocks.
- */
-function buildTimelineContent(frames, userPrompt) {
-  const content = [{ type: 'text', text: userPrompt }];
-
+function buildFrameBlocks(frames) {
+  const blocks = [];
   const sampled = sampleFramesEvenly(frames, MAX_FRAMES_PER_TIMELINE_REQUEST);
-
   for (const frame of sampled) {
-    content.push({
+    blocks.push({
       type: 'text',
       text: `Frame ${frame.frameIndex} (t=${frame.timestampSeconds.toFixed(1)}s)`,
     });
-    content.push({
+    blocks.push({
       type: 'image',
       source: {
         type: 'base64',
@@ -58,8 +64,129 @@ function buildTimelineContent(frames, userPrompt) {
       },
     });
   }
+  return blocks;
+}
 
-  return content;
+/**
+ * Build content array for timeline: text prompt + alternating text captions and image blocks.
+ */
+function buildTimelineContent(frames, userPrompt) {
+  return [{ type: 'text', text: userPrompt }, ...buildFrameBlocks(frames)];
+}
+
+/**
+ * Progress of one pipeline: numbers its model calls and counts completed assertions, and sends
+ * the progress events (see the top of this file) to onProgress.
+ * @param {((event: object) => void) | undefined} onProgress
+ * @param {{ plannedCalls: number, assertionCount?: number }} plan
+ */
+function createProgressTracker(onProgress, plan) {
+  let started = 0;
+  let totalCalls = plan.plannedCalls;
+  let completed = 0;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+
+  return {
+    /** @returns {number} Number of the call. */
+    callStarted(label, assertionId) {
+      started += 1;
+      totalCalls = Math.max(totalCalls, started);
+      emit({ type: 'call-started', label, ...(assertionId ? { assertionId } : {}), call: started, totalCalls });
+      return started;
+    },
+    callRetried(call, label, assertionId, retry) {
+      emit({ type: 'call-retry', label, ...(assertionId ? { assertionId } : {}), call, ...retry });
+    },
+    callCompleted(call, label, assertionId, details) {
+      emit({ type: 'call-completed', label, ...(assertionId ? { assertionId } : {}), call, totalCalls, ...details });
+    },
+    /** A response is re-asked: one more call than planned. */
+    addCall() {
+      totalCalls += 1;
+    },
+    /**
+     * @param {Array<{ id: string }>} assertions
+     * @param {Map<string, object>} evaluations - Evaluations (or failed evaluations) by assertion id.
+     */
+    assertionsCompleted(assertions, evaluations) {
+      for (const a of assertions) {
+        const ev = evaluations.get(a.id) || {};
+        completed += 1;
+        emit({
+          type: 'assertion-completed',
+          assertionId: a.id,
+          verdict: ev.missing ? 'missing' : ev.verdict,
+          confidence: ev.confidence ?? null,
+          completed,
+          totalAssertions: plan.assertionCount,
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Send one request through the provider and record its token usage.
+ * @param {object} opts
+ * @param {object} opts.provider - VLM provider (see providers.js)
+ * @param {Array<object>} opts.calls - Call log; one entry is appended per request.
+ * @param {string} opts.label - What the call is for (e.g. 'timeline', 'evaluation', 'batch', 'single').
+ * @param {string} [opts.assertionId] - Set for per-assertion calls.
+ * @param {number} [opts.repairAttempt] - Set when re-asking after an unusable response.
+ * @param {string} opts.model
+ * @param {number} opts.maxTokens
+ * @param {string} opts.system
+ * @param {Array<object>} opts.messages
+ * @param {object} [opts.progress] - createProgressTracker result.
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<string>} Text of the first text block ('{}' if none).
+ * @throws {CancelledError} When the signal is aborted before or during the call.
+ */
+async function createMessage(opts) {
+  const { provider, calls, label, assertionId, repairAttempt, model, maxTokens, system, messages, progress, signal } = opts;
+  throwIfAborted(signal);
+  const startedAt = new Date();
+  const call = progress ? progress.callStarted(label, assertionId) : null;
+  let response;
+  try {
+    response = await provider.send({
+      model,
+      maxTokens,
+      system,
+      messages,
+      meta: { label, assertionId },
+      signal,
+      ...(progress ? { onRetry: (retry) => progress.callRetried(call, label, assertionId, retry) } : {}),
+    });
+  } catch (err) {
+    const error = signal && signal.aborted ? new CancelledError(getAbortReason(signal), { cause: err }) : err;
+    if (progress) progress.callCompleted(call, label, assertionId, { error: error.message });
+    throw error;
+  }
+  if (progress) {
+    progress.callCompleted(call, label, assertionId, { durationMs: Date.now() - startedAt.getTime(), cached: Boolean(response.cached) });
+  }
+
+  if (calls) {
+    calls.push({
+      label,
+      provider: provider.name,
+      model: response.model || model,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      systemPromptHash: crypto.createHash('sha256').update(system || '').digest('hex').slice(0, 12),
+      usage: response.usage,
+      stopReason: response.stopReason,
+      cached: Boolean(response.cached),
+      ...(response.cacheKey ? { cacheKey: response.cacheKey } : {}),
+      ...(response.retries ? { retries: response.retries } : {}),
+      ...(repairAttempt ? { repairAttempt } : {}),
+    });
+  }
+
+  return response.text;
 }
 
 /**
@@ -72,118 +199,329 @@ function parseJsonFromResponse(text) {
   return JSON.parse(raw);
 }
 
+/**
+ * Send a request and parse the JSON response. If the response is not valid JSON (or has no
+ * `expectKey` array), re-ask up to jsonRepairAttempts times, feeding back the parse error.
+ * Same options as createMessage, plus:
+ * @param {string} opts.expectKey - Top-level array the response must contain (e.g. 'timeline', 'evaluations').
+ * @param {number} [opts.jsonRepairAttempts] - Max re-asks after an invalid response (default 1).
+ * @returns {Promise<object>} Parsed JSON.
+ * @throws {Error} With the last parse error once all attempts are used.
+ */
+async function requestJson(opts) {
+  const { expectKey, jsonRepairAttempts = 1, messages, ...messageOpts } = opts;
+  let history = messages;
+  for (let attempt = 0; ; attempt++) {
+    const text = await createMessage({ ...messageOpts, repairAttempt: attempt, messages: history });
+    let problem;
+    try {
+      const parsed = parseJsonFromResponse(text);
+      if (parsed && Array.isArray(parsed[expectKey])) return parsed;
+      problem = `expected a JSON object with a "${expectKey}" array`;
+    } catch (e) {
+      problem = `invalid JSON: ${e.message}`;
+    }
+
+    if (attempt >= jsonRepairAttempts) {
+      throw new Error(`Model response for ${messageOpts.label} was not usable after ${attempt + 1} attempt(s): ${problem}`);
+    }
+    if (messageOpts.progress) messageOpts.progress.addCall();
+    history = history.concat(
+      { role: 'assistant', content: text || '(empty response)' },
+      {
+        role: 'user',
+        content: `Your previous response could not be used (${problem}). Reply again with only the corrected JSON object containing the "${expectKey}" array, no other text.`,
+      }
+    );
+  }
+}
+
+/**
+ * Marker for an assertion that could not be evaluated, with the reason.
+ * The evaluation validator turns it into a "missing" result.
+ */
+function failedEvaluation(assertionId, reason) {
+  return {
+    assertionId,
+    missing: true,
+    error: reason,
+  };
+}
+
+function cancelledReason(signal) {
+  return `Not evaluated: ${getAbortReason(signal)}.`;
+}
+
+/**
+ * Index evaluations by assertion id and add a failed evaluation for every assertion without one.
+ * @param {Array<object>} evaluations - Evaluations returned by the model.
+ * @param {Array<{ id: string }>} assertions
+ * @param {string} missingReason - Reason recorded for assertions the model did not evaluate.
+ * @returns {Map<string, object>}
+ */
+function indexEvaluations(evaluations, assertions, missingReason) {
+  const byId = new Map();
+  for (const e of evaluations) {
+    const id = e.assertionId || e.id;
+    if (id) byId.set(id, e);
+  }
+  for (const a of assertions) {
+    if (!byId.has(a.id)) byId.set(a.id, failedEvaluation(a.id, missingReason));
+  }
+  return byId;
+}
+
+/**
+ * Timeline entries inside a time window, plus the last entry before it (the state the window
+ * starts in). All entries when window is null.
+ */
+function timelineInWindow(timeline, window) {
+  if (!window) return timeline;
+  const before = timeline.filter((e) => e.timestampSeconds < window.startSeconds);
+  const inside = timeline.filter((e) => isInWindow(window, e.timestampSeconds));
+  return before.length > 0 ? [before[before.length - 1], ...inside] : inside;
+}
+
+/**
+ * Group assertions by time window, in order of first appearance.
+ * @param {Array<{ id: string, window?: { startSeconds: number, endSeconds: number | null } }>} assertions
+ * @returns {Array<{ window: object | null, assertions: typeof assertions }>} window null: whole recording.
+ */
+function groupByWindow(assertions) {
+  const groups = new Map();
+  for (const a of assertions) {
+    const key = a.window ? `${a.window.startSeconds}-${a.window.endSeconds}` : '';
+    if (!groups.has(key)) groups.set(key, { window: a.window || null, assertions: [] });
+    groups.get(key).assertions.push(a);
+  }
+  return Array.from(groups.values());
+}
+
+function emptyWindowReason(window) {
+  return `No frames in the assertion's time window (${formatWindow(window)}).`;
+}
+
+/**
+ * Merge per-group evaluation maps into one map in assertion order.
+ */
+function mergeEvaluationMaps(maps, assertions) {
+  const merged = new Map();
+  for (const m of maps) {
+    for (const [id, ev] of m) merged.set(id, ev);
+  }
+  const byId = new Map();
+  for (const a of assertions) byId.set(a.id, merged.get(a.id));
+  for (const [id, ev] of merged) {
+    if (!byId.has(id)) byId.set(id, ev);
+  }
+  return byId;
+}
+
+/**
+ * Split frames into overlapping windows of at most windowSize frames.
+ * Each window records the time range it "owns" (split at the middle of each overlap), used to
+ * deduplicate entries when the partial timelines are merged.
+ * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} frames
+ * @param {number} windowSize
+ * @param {number} overlap
+ * @returns {Array<{ frames: typeof frames, startSeconds: number, endSeconds: number, ownedStart: number, ownedEnd: number }>}
+ */
+function splitFramesIntoWindows(frames, windowSize, overlap) {
+  if (frames.length <= windowSize) {
+    return [{
+      frames,
+      startSeconds: frames[0] ? frames[0].timestampSeconds : 0,
+      endSeconds: frames.length ? frames[frames.length - 1].timestampSeconds : 0,
+      ownedStart: -Infinity,
+      ownedEnd: Infinity,
+    }];
+  }
+
+  const stride = Math.max(1, windowSize - overlap);
+  const windows = [];
+  for (let start = 0; start < frames.length; start += stride) {
+    const slice = frames.slice(start, start + windowSize);
+    windows.push({
+      frames: slice,
+      startSeconds: slice[0].timestampSeconds,
+      endSeconds: slice[slice.length - 1].timestampSeconds,
+    });
+    if (start + windowSize >= frames.length) break;
+  }
+
+  windows.forEach((w, i) => {
+    const prev = windows[i - 1];
+    const next = windows[i + 1];
+    w.ownedStart = prev ? (w.startSeconds + prev.endSeconds) / 2 : -Infinity;
+    w.ownedEnd = next ? (next.startSeconds + w.endSeconds) / 2 : Infinity;
+  });
+  return windows;
+}
+
+function normalizeDescription(description) {
+  return String(description || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Merge per-window timelines into one ordered timeline.
+ * Keeps only entries inside each window's owned range, then drops consecutive entries whose
+ * description is the same as the previous one (a state carried across a window boundary).
+ * @param {Array<{ timeline: Array<{ timestampSeconds: number, description: string }>, ownedStart: number, ownedEnd: number }>} partials
+ * @returns {Array<{ timestampSeconds: number, description: string }>}
+ */
+function mergeTimelines(partials) {
+  const entries = [];
+  for (const part of partials) {
+    for (const entry of part.timeline) {
+      const t = Number(entry.timestampSeconds);
+      if (Number.isNaN(t)) continue;
+      if (t >= part.ownedStart && t < part.ownedEnd) entries.push(entry);
+    }
+  }
+  entries.sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+
+  const merged = [];
+  for (const entry of entries) {
+    const last = merged[merged.length - 1];
+    if (last && normalizeDescription(last.description) === normalizeDescription(entry.description)) continue;
+    merged.push(entry);
+  }
+  return merged;
+}
+
+/**
+ * Describe one window of frames (one API call).
+ */
+async function describeTimelineWindow(opts) {
+  const { provider, calls, model, maxTokens, jsonRepairAttempts, persona, frames, window, progress, signal } = opts;
+  const userPrompt = getTimelineUserPrompt(window);
+  const content = buildTimelineContent(frames, userPrompt);
+
+  const system = getTimelineSystemPrompt(persona);
+
+  const parsed = await requestJson({
+    provider,
+    calls,
+    label: 'timeline',
+    expectKey: 'timeline',
+    jsonRepairAttempts,
+    model,
+    maxTokens,
+    system,
+    messages: [{ role: 'user', content }],
+    progress,
+    signal,
+  });
+  return parsed.timeline;
+}
+
 /**
  * First pass: get timeline description from video frames.
+ * Long recordings are split into overlapping windows of up to MAX_FRAMES_PER_TIMELINE_REQUEST frames,
+ * each described in its own call, and the partial timelines are merged.
  * @param {object} opts
- * @param {object} opts.client - Anthropic client
+ * @param {object} opts.provider - VLM provider
+ * @param {Array<object>} [opts.calls] - Call log for token usage
  * @param {string} opts.model - Model ID
  * @param {number} opts.maxTokens
+ * @param {number} [opts.jsonRepairAttempts]
  * @param {string} opts.persona
  * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} opts.frames
- * @returns {Promise<{ timeline: Array<{ timestampSeconds: number, description: string }> }>}
+ * @param {object} [opts.progress] - createProgressTracker result.
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ timeline: Array<{ timestampSeconds: number, description: string }>, windowCount: number }>}
  */
 async function describeTimeline(opts) {
-  const { client, model, maxTokens, persona, frames } = opts;
-  const userPrompt = getTimelineUserPrompt();
-  const content = buildTimelineContent(frames, userPrompt);
+  const { provider, calls, model, maxTokens, jsonRepairAttempts, persona, frames, progress, signal } = opts;
+  const windows = splitFramesIntoWindows(frames, MAX_FRAMES_PER_TIMELINE_REQUEST, TIMELINE_WINDOW_OVERLAP_FRAMES);
 
-  const system = getTimelineSystemPrompt(persona);
+  if (windows.length === 1) {
+    const timeline = await describeTimelineWindow({ provider, calls, model, maxTokens, jsonRepairAttempts, persona, frames, progress, signal });
+    return { timeline, windowCount: 1 };
+  }
 
-  const response = await client.messages.create({
-    model,
-    max_tokens: maxTokens,
-    system,
-    messages: [{ role: 'user', content }],
-  });
+  const partials = [];
+  for (let i = 0; i < windows.length; i++) {
+    const w = windows[i];
+    const timeline = await describeTimelineWindow({
+      provider,
+      calls,
+      model,
+      maxTokens,
+      jsonRepairAttempts,
+      persona,
+      frames: w.frames,
+      window: { index: i, count: windows.length, startSeconds: w.startSeconds, endSeconds: w.endSeconds },
+      progress,
+      signal,
+    });
+    partials.push({ timeline, ownedStart: w.ownedStart, ownedEnd: w.ownedEnd });
+  }
 
-  const text = response.content?.find((c) => c.type === 'text')?.text || '{}';
-  const parsed = parseJsonFromResponse(text);
-  const timeline = Array.isArray(parsed.timeline) ? parsed.timeline : [];
-  return { timeline };
+  return { timeline: mergeTimelines(partials), windowCount: windows.length };
+}
+
+/**
+ * Number of calls describeTimeline makes for these frames (without re-asks).
+ * @param {Array<object>} frames
+ * @returns {number}
+ */
+function countTimelineCalls(frames) {
+  return splitFramesIntoWindows(frames, MAX_FRAMES_PER_TIMELINE_REQUEST, TIMELINE_WINDOW_OVERLAP_FRAMES).length;
 }
 
 /**
  * Second pass: evaluate assertions against the timeline (no images).
  */
 async function evaluateAssertions(opts) {
-  const { client, model, maxTokens, persona, timeline, assertions } = opts;
+  const { provider, calls, model, maxTokens, jsonRepairAttempts, persona, timeline, assertions, progress, signal } = opts;
   const timelineJson = JSON.stringify({ timeline }, null, 2);
   const userPrompt = getEvaluationUserPrompt(timelineJson, assertions);
   const system = getEvaluationSystemPrompt(persona);
 
-  const response = await client.messages.create({
+  const parsed = await requestJson({
+    provider,
+    calls,
+    label: 'evaluation',
+    expectKey: 'evaluations',
+    jsonRepairAttempts,
     model,
-    max_tokens: maxTokens,
+    maxTokens,
     system,
     messages: [{ role: 'user', content: userPrompt }],
+    progress,
+    signal,
   });
-
-  const text = response.content?.find((c) => c.type === 'text')?.text || '{}';
-  const parsed = parseJsonFromResponse(text);
-  const evaluations = Array.isArray(parsed.evaluations) ? parsed.evaluations : [];
-  return { evaluations };
+  return { evaluations: parsed.evaluations };
 }
 
 /**
- * Build content for batch: intro + frame captions/images + assertions list.
+ * Build content for batch: intro + frame captions/images + assertions list with per-type instructions.
  */
 function buildBatchContent(frames, assertions) {
   const intro = getBatchUserPromptIntro();
-  const content = [{ type: 'text', text: intro }];
+  const content = [{ type: 'text', text: intro }, ...buildFrameBlocks(frames)];
 
-  const sampled = sampleFramesEvenly(frames, MAX_FRAMES_PER_TIMELINE_REQUEST);
-  for (const frame of sampled) {
-    content.push({
-      type: 'text',
-      text: `Frame ${frame.frameIndex} (t=${frame.timestampSeconds.toFixed(1)}s)`,
-    });
-    content.push({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: 'image/png',
-        data: readFileAsBase64(frame.framePath),
-      },
-    });
-  }
-
-  const assertionsList = assertions
-    .map((a) => `- [${a.id}] ${a.text} (testStepId: ${a.testStepId || 'unknown'})`)
-    .join('\n');
   content.push({
     type: 'text',
-    text: '\n## Assertions to evaluate\n' + assertionsList + '\n\nOutput only valid JSON with an "evaluations" array (assertionId, verdict, confidence, explanation, evidence).',
+    text: getBatchAssertionsPrompt(assertions),
   });
 
   return content;
 }
 
 /**
- * Build content for single (per-assertion): intro + frames + one assertion.
+ * Build content for single (per-assertion): intro + frames + one assertion with instructions for its type.
+ * @param {Array<object>} frameBlocks - From buildFrameBlocks (shared across assertions).
+ * @param {{ id: string, text: string, testStepId?: string }} assertion
  */
-function buildSingleAssertionContent(frames, assertion) {
+function buildSingleAssertionContent(frameBlocks, assertion) {
   const intro = getSingleAssertionUserPromptIntro();
-  const content = [{ type: 'text', text: intro }];
-
-  const sampled = sampleFramesEvenly(frames, MAX_FRAMES_PER_TIMELINE_REQUEST);
-  for (const frame of sampled) {
-    content.push({
-      type: 'text',
-      text: `Frame ${frame.frameIndex} (t=${frame.timestampSeconds.toFixed(1)}s)`,
-    });
-    content.push({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: 'image/png',
-        data: readFileAsBase64(frame.framePath),
-      },
-    });
-  }
+  const content = [{ type: 'text', text: intro }, ...frameBlocks];
 
   content.push({
     type: 'text',
-    text: `\n## Assertion to evaluate\n[${assertion.id}] ${assertion.text} (testStepId: ${assertion.testStepId || 'unknown'})\n\nOutput only valid JSON with an "evaluations" array containing exactly one object (assertionId: "${assertion.id}", verdict, confidence, explanation, evidence).`,
+    text: getSingleAssertionPrompt(assertion),
   });
 
   return content;
@@ -191,127 +529,254 @@ function buildSingleAssertionContent(frames, assertion) {
 
 /**
  * Batch: one VLM call with full video + all assertions; output evaluations only.
+ * Assertions with a time window get one call per window, with only that window's frames.
  */
 async function runBatchPipeline(opts) {
-  const { apiKey, model, maxTokens, persona, frames, assertions } = opts;
-  const client = new Anthropic({ apiKey });
+  const { provider, model, maxTokens, jsonRepairAttempts, persona, frames, assertions, concurrency = 1, onProgress, signal } = opts;
   const effectivePersona = persona;
-
-  const content = buildBatchContent(frames, assertions);
+  const calls = [];
+  const errors = [];
   const system = getBatchSystemPrompt(effectivePersona);
 
-  const response = await client.messages.create({
-    model,
-    max_tokens: maxTokens,
-    system,
-    messages: [{ role: 'user', content }],
+  const groups = groupByWindow(assertions);
+  const progress = createProgressTracker(onProgress, {
+    plannedCalls: groups.filter((g) => framesInWindow(frames, g.window).length > 0).length,
+    assertionCount: assertions.length,
   });
 
-  const text = response.content?.find((c) => c.type === 'text')?.text || '{}';
-  const parsed = parseJsonFromResponse(text);
-  const evaluations = Array.isArray(parsed.evaluations) ? parsed.evaluations : [];
+  async function evaluateBatchGroup(group) {
+    const groupFrames = framesInWindow(frames, group.window);
+    if (groupFrames.length === 0) {
+      return indexEvaluations([], group.assertions, emptyWindowReason(group.window));
+    }
+    if (signal && signal.aborted) return indexEvaluations([], group.assertions, cancelledReason(signal));
 
-  const byId = new Map();
-  for (const e of evaluations) {
-    const id = e.assertionId || e.id;
-    if (id) byId.set(id, e);
+    const content = buildBatchContent(groupFrames, group.assertions);
+    let evaluations = [];
+    let missingReason = 'Batch response did not include an evaluation for this assertion.';
+    try {
+      const parsed = await requestJson({
+        provider,
+        calls,
+        label: 'batch',
+        expectKey: 'evaluations',
+        jsonRepairAttempts,
+        model,
+        maxTokens,
+        system,
+        messages: [{ role: 'user', content }],
+        progress,
+        signal,
+      });
+      evaluations = parsed.evaluations;
+    } catch (err) {
+      errors.push({ label: 'batch', message: err.message, ...(group.window ? { window: group.window } : {}) });
+      missingReason = `Batch call failed: ${err.message}`;
+    }
+    return indexEvaluations(evaluations, group.assertions, missingReason);
   }
 
+  const maps = await mapWithConcurrency(groups, concurrency, async (group) => {
+    const byId = await evaluateBatchGroup(group);
+    progress.assertionsCompleted(group.assertions, byId);
+    return byId;
+  });
+
   return {
     timeline: [],
-    evaluations: byId,
+    evaluations: mergeEvaluationMaps(maps, assertions),
+    calls,
+    errors,
   };
 }
 
 /**
  * Single: one VLM call per assertion, each with the full video (frames) + that assertion.
+ * An assertion with a time window gets only the frames inside it.
+ * Up to opts.concurrency calls run at once.
  */
 async function runSinglePipeline(opts) {
-  const { apiKey, model, maxTokens, persona, frames, assertions } = opts;
-  const client = new Anthropic({ apiKey });
+  const { provider, model, maxTokens, jsonRepairAttempts, persona, frames, assertions, concurrency = 1, onProgress, signal } = opts;
   const effectivePersona = persona;
   const system = getSingleAssertionSystemPrompt(effectivePersona);
+  const calls = [];
+  const errors = [];
+
+  // Frames are the same for every assertion of a window: read and encode them once per window.
+  const frameBlocksByWindow = new Map();
+  for (const group of groupByWindow(assertions)) {
+    const groupFrames = framesInWindow(frames, group.window);
+    const frameBlocks = groupFrames.length > 0 ? buildFrameBlocks(groupFrames) : null;
+    for (const a of group.assertions) frameBlocksByWindow.set(a.id, frameBlocks);
+  }
 
-  const byId = new Map();
-  for (const assertion of assertions) {
-    const content = buildSingleAssertionContent(frames, assertion);
-    const response = await client.messages.create({
-      model,
-      max_tokens: maxTokens,
-      system,
-      messages: [{ role: 'user', content }],
-    });
+  const progress = createProgressTracker(onProgress, {
+    plannedCalls: assertions.filter((a) => frameBlocksByWindow.get(a.id)).length,
+    assertionCount: assertions.length,
+  });
 
-    const text = response.content?.find((c) => c.type === 'text')?.text || '{}';
-    let evaluations = [];
+  async function evaluateSingle(assertion) {
+    const frameBlocks = frameBlocksByWindow.get(assertion.id);
+    if (!frameBlocks) return failedEvaluation(assertion.id, emptyWindowReason(assertion.window));
+    if (signal && signal.aborted) return failedEvaluation(assertion.id, cancelledReason(signal));
+    const content = buildSingleAssertionContent(frameBlocks, assertion);
     try {
-      const parsed = parseJsonFromResponse(text);
-      evaluations = Array.isArray(parsed.evaluations) ? parsed.evaluations : [];
-    } catch (_) {
-      // if parse fails, leave this assertion without evaluation
-    }
-    const e = evaluations[0];
-    if (e) {
-      const id = e.assertionId || e.id || assertion.id;
-      byId.set(id, e);
-    } else {
-      byId.set(assertion.id, { assertionId: assertion.id, verdict: 'uncertain', confidence: 0, explanation: 'No evaluation returned.', evidence: [] });
+      const parsed = await requestJson({
+        provider,
+        calls,
+        label: 'single',
+        assertionId: assertion.id,
+        expectKey: 'evaluations',
+        jsonRepairAttempts,
+        model,
+        maxTokens,
+        system,
+        messages: [{ role: 'user', content }],
+        progress,
+        signal,
+      });
+      const e = parsed.evaluations[0];
+      return e
+        ? { ...e, assertionId: assertion.id }
+        : failedEvaluation(assertion.id, 'Response contained an empty "evaluations" array.');
+    } catch (err) {
+      errors.push({ label: 'single', assertionId: assertion.id, message: err.message });
+      return failedEvaluation(assertion.id, err.message);
     }
   }
 
+  const results = await mapWithConcurrency(assertions, concurrency, async (assertion) => {
+    const evaluation = await evaluateSingle(assertion);
+    progress.assertionsCompleted([assertion], new Map([[assertion.id, evaluation]]));
+    return evaluation;
+  });
+
+  // Map insertion and errors follow assertion order, whatever order the calls finished in.
+  const byId = new Map();
+  assertions.forEach((a, i) => byId.set(a.id, results[i]));
+  const order = new Map(assertions.map((a, i) => [a.id, i]));
+  errors.sort((a, b) => order.get(a.assertionId) - order.get(b.assertionId));
+
   return {
     timeline: [],
     evaluations: byId,
+    calls,
+    errors,
   };
 }
 
 /**
  * Two-pass: describe timeline from frames, then evaluate assertions from timeline.
+ * When every assertion has a time window, only frames inside some window are described.
+ * Assertions with a window are evaluated against the timeline entries of that window, one
+ * evaluation call per window. A timeline passed in opts.timeline (e.g. from step segmentation)
+ * is used instead of describing the frames again.
  */
 async function runTwoPassPipeline(opts) {
   const {
-    apiKey,
+    provider,
     model,
     maxTokens,
+    jsonRepairAttempts,
     persona,
     frames,
     assertions,
+    concurrency = 1,
+    onProgress,
+    signal,
   } = opts;
 
-  const client = new Anthropic({ apiKey });
   const effectivePersona = persona;
-
-  const { timeline } = await describeTimeline({
-    client,
-    model,
-    maxTokens,
-    persona: effectivePersona,
-    frames,
+  const calls = [];
+  const errors = [];
+
+  const groups = groupByWindow(assertions);
+  const timelineFrames = groups.every((g) => g.window)
+    ? frames.filter((f) => groups.some((g) => isInWindow(g.window, f.timestampSeconds)))
+    : frames;
+  const evaluatedGroups = groups.filter((g) => framesInWindow(frames, g.window).length > 0);
+  const progress = createProgressTracker(onProgress, {
+    plannedCalls: (opts.timeline || timelineFrames.length === 0 ? 0 : countTimelineCalls(timelineFrames)) + evaluatedGroups.length,
+    assertionCount: assertions.length,
   });
 
-  const { evaluations } = await evaluateAssertions({
-    client,
-    model,
-    maxTokens,
-    persona: effectivePersona,
-    timeline,
-    assertions,
-  });
+  let timeline = opts.timeline;
+  if (!timeline) {
+    try {
+      if (timelineFrames.length === 0) throw new Error('no frames inside any assertion time window');
+      ({ timeline } = await describeTimeline({
+        provider,
+        calls,
+        model,
+        maxTokens,
+        jsonRepairAttempts,
+        persona: effectivePersona,
+        frames: timelineFrames,
+        progress,
+        signal,
+      }));
+    } catch (err) {
+      errors.push({ label: 'timeline', message: err.message });
+      const evaluations = indexEvaluations([], assertions, `Timeline pass failed: ${err.message}`);
+      progress.assertionsCompleted(assertions, evaluations);
+      return {
+        timeline: [],
+        evaluations,
+        calls,
+        errors,
+      };
+    }
+  }
 
-  const byId = new Map();
-  for (const e of evaluations) {
-    const id = e.assertionId || e.id;
-    if (id) byId.set(id, e);
+  async function evaluateTwoPassGroup(group) {
+    if (framesInWindow(frames, group.window).length === 0) {
+      return indexEvaluations([], group.assertions, emptyWindowReason(group.window));
+    }
+    if (signal && signal.aborted) return indexEvaluations([], group.assertions, cancelledReason(signal));
+    const groupTimeline = timelineInWindow(timeline, group.window);
+
+    let evaluations = [];
+    let missingReason = 'Evaluation response did not include an evaluation for this assertion.';
+    try {
+      ({ evaluations } = await evaluateAssertions({
+        provider,
+        calls,
+        model,
+        maxTokens,
+        jsonRepairAttempts,
+        persona: effectivePersona,
+        timeline: groupTimeline,
+        assertions: group.assertions,
+        progress,
+        signal,
+      }));
+    } catch (err) {
+      errors.push({ label: 'evaluation', message: err.message, ...(group.window ? { window: group.window } : {}) });
+      missingReason = `Evaluation pass failed: ${err.message}`;
+    }
+    return indexEvaluations(evaluations, group.assertions, missingReason);
   }
 
+  const maps = await mapWithConcurrency(groups, concurrency, async (group) => {
+    const byId = await evaluateTwoPassGroup(group);
+    progress.assertionsCompleted(group.assertions, byId);
+    return byId;
+  });
+
   return {
     timeline,
-    evaluations: byId,
+    evaluations: mergeEvaluationMaps(maps, assertions),
+    calls,
+    errors,
   };
 }
 
 /**
  * Run the pipeline: branches on strategy ('single' | 'batch' | 'two-pass').
+ * opts.provider is the VLM provider every call goes through (see providers.js).
+ * Call failures do not abort the run: affected assertions get an evaluation with an `error` reason,
+ * and the failure is listed in `errors`. opts.onProgress and opts.signal: see the top of this file.
+ * @returns {Promise<{ timeline: Array<object>, evaluations: Map<string, object>, calls: Array<object>, errors: Array<{ label: string, assertionId?: string, window?: object, message: string }> }>}
  */
 async function runPipeline(opts) {
   const strategy = opts.strategy || 'two-pass';
@@ -326,11 +791,17 @@ async function runPipeline(opts) {
 
 module.exports = {
   describeTimeline,
+  countTimelineCalls,
+  createProgressTracker,
   evaluateAssertions,
   runPipeline,
   runSinglePipeline,
   runBatchPipeline,
   runTwoPassPipeline,
-  sampleFramesEvenly,
-  MAX_FRAMES_PER_TIMELINE_REQUEST,
+  groupByWindow,
+  splitFramesIntoWindows,
+  mergeTimelines,
+  parseJsonFromResponse,
+  requestJson,
+  TIMELINE_WINDOW_OVERLAP_FRAMES,
 };
@@ -0,0 +1,497 @@
+/**
+ * UX Assertion Video Validator — command line. Run through src/index.js; the commands wrap the
+ * library (validate.js, suite.js, experiment.js, server.js) and turn failures into exit codes.
+ * CLI: node src/index.js --video <path> --assertions <path> [--output <path>] [--fps N] [--sampling uniform|adaptive] [--persona ux-designer|qa-engineer|none]
+ *      node src/index.js validate-assertions <file..> [--strict]
+ *      node src/index.js experiment <matrix.json> [--out-dir <dir>]
+ *      node src/index.js diff <before.json> <after.json> [--fail-on-regression]
+ *      node src/index.js suite <manifest.json | dir> [--out-dir <dir>] [--parallel N]
+ *      node src/index.js serve [--port N] [--host <host>] [--jobs-dir <dir>] [--concurrency N]
+ */
+
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { SUPPORTED_STRATEGIES, SUPPORTED_SAMPLING_MODES, SUPPORTED_PROVIDERS, SUPPORTED_CACHE_MODES, SUPPORTED_CONSENSUS_METHODS } = require('../config/settings');
+const { lintAssertionsFile, formatProblem } = require('./assertionSchema');
+const { checkPolicy, POLICY_EXIT_CODE } = require('./junit');
+const { validate } = require('./validate');
+const { ValidatorError, CancelledError } = require('./errors');
+const { createProgressDisplay } = require('./progressDisplay');
+const { loadMatrix, runExperiment, formatComparisonMarkdown } = require('./experiment');
+const { loadResultFile, diffResults, formatDiff, DEFAULT_CONFIDENCE_THRESHOLD } = require('./diff');
+const { loadSuite, runSuite, formatSuiteSummary, DEFAULT_SUITE_PARALLEL } = require('./suite');
+const { startServer, DEFAULT_SERVER_PORT, DEFAULT_SERVER_HOST, DEFAULT_JOBS_DIR, DEFAULT_JOB_CONCURRENCY } = require('./server');
+
+/** Exit code of a run cancelled with Ctrl-C or --timeout (after writing its partial results). */
+const CANCELLED_EXIT_CODE = 130;
+
+/**
+ * Options of the default (validate a recording) command.
+ */
+function validateCommandOptions(yargsInstance) {
+  return yargsInstance
+    .option('video', {
+      alias: 'v',
+      type: 'string',
+      description: 'Path to screen recording MP4',
+      demandOption: true,
+    })
+    .option('assertions', {
+      alias: 'a',
+      type: 'string',
+      description: 'Path to JSON file with UX assertions',
+      demandOption: true,
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      description: 'Path to write evaluation JSON (default: stdout)',
+    })
+    .option('fps', {
+      type: 'number',
+      description: 'Override frames-per-second for sampling (default from config)',
+    })
+    .option('sampling', {
+      type: 'string',
+      choices: SUPPORTED_SAMPLING_MODES,
+      description: 'Frame sampling mode: uniform, or adaptive (keep frames around visual changes)',
+    })
+    .option('persona', {
+      alias: 'p',
+      type: 'string',
+      choices: ['ux-designer', 'qa-engineer', 'none'],
+      description: 'Override persona (default from config)',
+    })
+    .option('strategy', {
+      type: 'string',
+      choices: SUPPORTED_STRATEGIES,
+      description: 'Evaluation strategy (default: two-pass)',
+    })
+    .option('concurrency', {
+      type: 'number',
+      description: 'Single strategy: max model calls in flight at once (default from config)',
+    })
+    .option('provider', {
+      type: 'string',
+      choices: SUPPORTED_PROVIDERS,
+      description: 'VLM provider: anthropic, or mock (canned responses, no network)',
+    })
+    .option('mock-fixtures', {
+      type: 'string',
+      description: 'Mock provider: fixture JSON file or directory',
+    })
+    .option('cache', {
+      type: 'string',
+      choices: SUPPORTED_CACHE_MODES,
+      description: 'Model call cache: off, read (reuse + record), write (always call + record), replay (cache only)',
+    })
+    .option('runs', {
+      type: 'number',
+      description: 'Run the strategy N times and combine verdicts by consensus (default 1)',
+    })
+    .option('consensus', {
+      type: 'string',
+      choices: SUPPORTED_CONSENSUS_METHODS,
+      description: 'Multi-run consensus: majority vote, or weighted by confidence',
+    })
+    .option('segment-steps', {
+      type: 'boolean',
+      description: 'Locate each test step in the recording first and judge its assertions on that segment only',
+    })
+    .option('csv', {
+      type: 'string',
+      description: 'Append one row per assertion to this CSV file (created with headers if needed)',
+    })
+    .option('report', {
+      type: 'array',
+      choices: ['html', 'junit'],
+      description: 'Also write a report: html (self-contained, with frame thumbnails), junit (XML for CI)',
+    })
+    .option('report-dir', {
+      type: 'string',
+      description: 'Directory for reports (default: next to --output, or the current directory)',
+    })
+    .option('fail-on', {
+      type: 'string',
+      choices: ['fail', 'uncertain'],
+      description: `Exit with ${POLICY_EXIT_CODE} when any assertion fails or is missing (fail), or also is uncertain (uncertain); failed model calls always count`,
+    })
+    .option('min-confidence', {
+      type: 'number',
+      description: `Exit with ${POLICY_EXIT_CODE} when any assertion has a lower confidence (0-1)`,
+    })
+    .option('timeout', {
+      type: 'number',
+      description: `Cancel the run after this many seconds, keeping the assertions evaluated by then (exit ${CANCELLED_EXIT_CODE})`,
+    })
+    .option('keep-frames', {
+      type: 'boolean',
+      default: false,
+      description: 'Keep extracted frames on disk after run',
+    });
+}
+
+/**
+ * Settings overrides from CLI flags.
+ */
+function getOverrides(argv) {
+  const overrides = {};
+  if (argv.fps != null) overrides.fps = argv.fps;
+  if (argv.sampling != null) overrides.sampling = argv.sampling;
+  if (argv.persona != null) overrides.persona = argv.persona;
+  if (argv.strategy != null) overrides.strategy = argv.strategy;
+  if (argv.concurrency != null) overrides.concurrency = argv.concurrency;
+  if (argv.provider != null) overrides.provider = argv.provider;
+  if (argv.mockFixtures != null) overrides.mockFixtures = path.resolve(argv.mockFixtures);
+  if (argv.cache != null) overrides.cache = argv.cache;
+  if (argv.runs != null) overrides.runs = argv.runs;
+  if (argv.consensus != null) overrides.consensus = argv.consensus;
+  if (argv.segmentSteps != null) overrides.segmentSteps = argv.segmentSteps;
+  return overrides;
+}
+
+/**
+ * Path of a report file: <report dir>/<output file name or "validation-report">.<ext>.
+ */
+function getReportPath(argv, outPath, ext) {
+  const dir = argv.reportDir ? path.resolve(argv.reportDir) : (outPath ? path.dirname(outPath) : process.cwd());
+  const base = outPath ? path.basename(outPath, path.extname(outPath)) : 'validation-report';
+  return path.join(dir, `${base}.${ext}`);
+}
+
+/**
+ * Log a validate() progress event (also used for suite and experiment runs).
+ */
+function logProgress(event) {
+  switch (event.type) {
+    case 'stage':
+    case 'info':
+      console.log(event.message);
+      break;
+    case 'warning':
+      console.warn('Warning:', event.message);
+      break;
+    case 'call-retry': {
+      const what = [event.label, event.assertionId].filter(Boolean).join(' ');
+      console.warn(`Warning: ${what} call failed (${event.error}); retry ${event.attempt}/${event.maxRetries} in ${event.delayMs}ms`);
+      break;
+    }
+    case 'segments-located':
+      for (const s of event.segments) console.log('  %s: %ss–%ss', s.testStepId, s.startSeconds, s.endSeconds);
+      break;
+    case 'run-started':
+      console.log('Run %d/%d...', event.run, event.runs);
+      break;
+    case 'assertions-loaded':
+      console.log('Assertions loaded:', event.count);
+      break;
+    case 'output-written':
+      console.log('Results written to', event.path);
+      break;
+    case 'csv-written':
+      console.log('Appended', event.rows, 'row(s) to', event.path);
+      break;
+    case 'report-written':
+      console.log('%s report written to', event.format === 'html' ? 'HTML' : 'JUnit', event.path);
+      break;
+    case 'completed':
+      console.log('Validation %s in', event.cancelled ? 'cancelled' : 'completed', event.durationMs, 'milliseconds');
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Default command: validate assertions against a screen recording.
+ * Ctrl-C (or --timeout) cancels the model calls; the assertions evaluated by then are still written.
+ * A second Ctrl-C quits at once.
+ */
+async function run(argv) {
+  const outPath = argv.output ? path.resolve(argv.output) : null;
+  const reports = argv.report || [];
+
+  const controller = new AbortController();
+  const onSigint = () => {
+    if (controller.signal.aborted) process.exit(CANCELLED_EXIT_CODE);
+    console.warn('Cancelling: waiting for in-flight calls to stop (Ctrl-C again to quit now)...');
+    controller.abort(new Error('cancelled with Ctrl-C'));
+  };
+  process.on('SIGINT', onSigint);
+  const timer = argv.timeout != null
+    ? setTimeout(() => controller.abort(new Error(`timed out after ${argv.timeout}s`)), argv.timeout * 1000)
+    : null;
+  const display = createProgressDisplay(process.stderr);
+  display.attachConsole();
+
+  let output;
+  try {
+    output = await validate({
+      video: argv.video,
+      assertions: argv.assertions,
+      settings: getOverrides(argv),
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      output: outPath,
+      csv: argv.csv,
+      reports: {
+        html: reports.includes('html') ? getReportPath(argv, outPath, 'html') : null,
+        junit: reports.includes('junit') ? getReportPath(argv, outPath, 'xml') : null,
+      },
+      keepFrames: argv.keepFrames,
+      signal: controller.signal,
+      onProgress: (event) => {
+        display.update(event);
+        logProgress(event);
+      },
+    });
+  } catch (e) {
+    if (!(e instanceof ValidatorError)) throw e;
+    console.log('Error:', e.message);
+    process.exit(e instanceof CancelledError ? CANCELLED_EXIT_CODE : 1);
+  } finally {
+    display.stop();
+    clearTimeout(timer);
+    process.removeListener('SIGINT', onSigint);
+  }
+
+  if (!outPath) console.log(JSON.stringify(output, null, 2));
+
+  if (output.run.cancelled) {
+    console.log('Run %s; partial results cover the assertions evaluated before that', output.run.cancelled.reason);
+    process.exit(CANCELLED_EXIT_CODE);
+  }
+
+  if (argv.failOn || argv.minConfidence != null) {
+    const policy = checkPolicy(output, { failOn: argv.failOn, minConfidence: argv.minConfidence });
+    if (!policy.passed) {
+      for (const v of policy.violations) console.log('Policy: %s — %s', v.id, v.reason);
+      console.log('Policy failed: %d violation(s)', policy.violations.length);
+      process.exit(POLICY_EXIT_CODE);
+    }
+  }
+}
+
+/**
+ * validate-assertions command: lint assertions files against the schema; exit 1 on errors
+ * (or on warnings with --strict).
+ */
+function runValidateAssertions(argv) {
+  let failed = false;
+  for (const file of argv.files) {
+    let result;
+    try {
+      result = lintAssertionsFile(file);
+    } catch (e) {
+      console.log(e.message);
+      failed = true;
+      continue;
+    }
+    const errors = result.problems.filter((p) => p.severity === 'error');
+    const warnings = result.problems.filter((p) => p.severity === 'warning');
+    for (const problem of result.problems) {
+      console.log(formatProblem(file, problem));
+    }
+    if (result.problems.length === 0) {
+      console.log('%s: ok', file);
+    }
+    if (errors.length > 0 || (argv.strict && warnings.length > 0)) failed = true;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+/**
+ * experiment command: run every cell of a matrix file and write a verdict comparison.
+ */
+async function runExperimentCommand(argv) {
+  let matrix;
+  try {
+    matrix = loadMatrix(argv.matrix);
+  } catch (e) {
+    console.log('Error:', e.message);
+    process.exit(1);
+  }
+  const outDir = path.resolve(argv.outDir || path.join('experiments', `${matrix.name}-${Date.now()}`));
+
+  const manifest = await runExperiment({
+    matrix,
+    outDir,
+    overrides: getOverrides(argv),
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    keepFrames: argv.keepFrames,
+    onProgress: logProgress,
+  });
+
+  console.log('\n' + formatComparisonMarkdown(manifest.comparison));
+  const failed = manifest.cells.filter((c) => c.error);
+  if (failed.length > 0) {
+    console.warn('Warning: %d of %d cell(s) failed: %s', failed.length, manifest.cells.length, failed.map((c) => c.id).join(', '));
+  }
+  console.log('Experiment written to', outDir);
+}
+
+/**
+ * diff command: compare two output files; with --fail-on-regression exit 1 when a verdict went from pass to fail.
+ */
+function runDiff(argv) {
+  let diff;
+  try {
+    diff = diffResults(loadResultFile(argv.before), loadResultFile(argv.after));
+  } catch (e) {
+    console.log('Error:', e.message);
+    process.exit(1);
+  }
+  if (argv.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    console.log(formatDiff(diff, { confidenceThreshold: argv.confidenceThreshold }));
+  }
+  process.exit(argv.failOnRegression && diff.summary.regressions > 0 ? 1 : 0);
+}
+
+/**
+ * suite command: validate every recording of a suite manifest or directory.
+ */
+async function runSuiteCommand(argv) {
+  let suite;
+  try {
+    suite = loadSuite(argv.suite, { onWarning: (message) => logProgress({ type: 'warning', message }) });
+  } catch (e) {
+    console.log('Error:', e.message);
+    process.exit(1);
+  }
+  const outDir = path.resolve(argv.outDir || path.join('results', `suite-${suite.name}-${Date.now()}`));
+
+  const { summary, outputs } = await runSuite({
+    suite,
+    outDir,
+    overrides: getOverrides(argv),
+    parallel: argv.parallel,
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    keepFrames: argv.keepFrames,
+    onProgress: logProgress,
+  });
+
+  console.log('\n' + formatSuiteSummary(summary));
+  console.log('Suite results written to', outDir);
+
+  if (argv.failOn || argv.minConfidence != null) {
+    const violations = outputs.flatMap((output) => checkPolicy(output, { failOn: argv.failOn, minConfidence: argv.minConfidence }).violations);
+    const errors = summary.totals.errors;
+    if (violations.length > 0 || errors > 0) {
+      console.log('Policy failed: %d violation(s), %d result(s) with errors', violations.length, errors);
+      process.exit(POLICY_EXIT_CODE);
+    }
+  }
+}
+
+/**
+ * serve command: run the HTTP API for validation jobs until the process is stopped.
+ */
+async function runServeCommand(argv) {
+  await startServer({
+    port: argv.port,
+    host: argv.host,
+    jobsDir: argv.jobsDir,
+    concurrency: argv.concurrency,
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    onProgress: logProgress,
+  });
+}
+
+/**
+ * Parse the arguments and run the command.
+ * @param {string[]} args - Arguments without the node binary and script (e.g. hideBin(process.argv)).
+ */
+function main(args) {
+  require('dotenv').config();
+  yargs(args)
+    .command('$0', 'Validate UX assertions against a screen recording', validateCommandOptions, (argv) => {
+      run(argv).catch((err) => {
+        console.log(err);
+        process.exit(1);
+      });
+    })
+    .command(
+      'validate-assertions <files..>',
+      'Check assertions files against schemas/assertions.schema.json (no model calls)',
+      (y) => y
+        .positional('files', { type: 'string', description: 'Assertions JSON file(s)' })
+        .option('strict', { type: 'boolean', default: false, description: 'Treat warnings as errors' }),
+      runValidateAssertions
+    )
+    .command(
+      'experiment <matrix>',
+      'Run a matrix of videos × assertions × strategies × personas × fps × models and compare verdicts',
+      (y) => y
+        .positional('matrix', { type: 'string', description: 'Matrix definition JSON file' })
+        .option('out-dir', { type: 'string', description: 'Directory for cell results and comparison (default: experiments/<name>-<timestamp>)' })
+        .option('provider', { type: 'string', choices: SUPPORTED_PROVIDERS, description: 'VLM provider for every cell' })
+        .option('mock-fixtures', { type: 'string', description: 'Mock provider: fixture JSON file or directory' })
+        .option('cache', { type: 'string', choices: SUPPORTED_CACHE_MODES, description: 'Model call cache mode for every cell' })
+        .option('runs', { type: 'number', description: 'Runs per cell (multi-run consensus)' })
+        .option('keep-frames', { type: 'boolean', default: false, description: 'Keep extracted frames on disk after the experiment' }),
+      (argv) => {
+        runExperimentCommand(argv).catch((err) => {
+          console.log(err);
+          process.exit(1);
+        });
+      }
+    )
+    .command(
+      'diff <before> <after>',
+      'Compare two validation outputs: verdict flips, confidence deltas and evidence changes',
+      (y) => y
+        .positional('before', { type: 'string', description: 'Baseline output JSON' })
+        .positional('after', { type: 'string', description: 'New output JSON' })
+        .option('fail-on-regression', { type: 'boolean', default: false, description: 'Exit 1 when any verdict goes from pass to fail' })
+        .option('confidence-threshold', { type: 'number', default: DEFAULT_CONFIDENCE_THRESHOLD, description: 'List assertions whose confidence moved at least this much' })
+        .option('json', { type: 'boolean', default: false, description: 'Print the diff as JSON' }),
+      runDiff
+    )
+    .command(
+      'suite <suite>',
+      'Validate many recordings: a suite manifest JSON, or a directory with recordings/<name>.mp4 and assertions/<name>/',
+      (y) => y
+        .positional('suite', { type: 'string', description: 'Suite manifest file or suite directory' })
+        .option('out-dir', { type: 'string', description: 'Directory for results and summary (default: results/suite-<name>-<timestamp>)' })
+        .option('parallel', { type: 'number', description: `Recordings validated at once (default: suite's "parallel", else ${DEFAULT_SUITE_PARALLEL})` })
+        .option('strategy', { type: 'string', choices: SUPPORTED_STRATEGIES, description: 'Evaluation strategy for every recording' })
+        .option('persona', { alias: 'p', type: 'string', choices: ['ux-designer', 'qa-engineer', 'none'], description: 'Persona for every recording' })
+        .option('fps', { type: 'number', description: 'Frame sampling rate for every recording' })
+        .option('provider', { type: 'string', choices: SUPPORTED_PROVIDERS, description: 'VLM provider' })
+        .option('mock-fixtures', { type: 'string', description: 'Mock provider: fixture JSON file or directory' })
+        .option('cache', { type: 'string', choices: SUPPORTED_CACHE_MODES, description: 'Model call cache mode' })
+        .option('runs', { type: 'number', description: 'Runs per result (multi-run consensus)' })
+        .option('segment-steps', { type: 'boolean', description: 'Locate test steps in each recording and judge assertions on their step segment' })
+        .option('fail-on', { type: 'string', choices: ['fail', 'uncertain'], description: `Exit with ${POLICY_EXIT_CODE} when any assertion has this outcome or a result errored` })
+        .option('min-confidence', { type: 'number', description: `Exit with ${POLICY_EXIT_CODE} when any assertion has a lower confidence` })
+        .option('keep-frames', { type: 'boolean', default: false, description: 'Keep extracted frames on disk after the suite' }),
+      (argv) => {
+        runSuiteCommand(argv).catch((err) => {
+          console.log(err);
+          process.exit(1);
+        });
+      }
+    )
+    .command(
+      'serve',
+      'Run a local HTTP API: upload recordings, queue validation jobs, poll them and fetch results and reports',
+      (y) => y
+        .option('port', { type: 'number', default: DEFAULT_SERVER_PORT, description: 'Port to listen on' })
+        .option('host', { type: 'string', default: DEFAULT_SERVER_HOST, description: 'Interface to listen on (the API has no authentication)' })
+        .option('jobs-dir', { type: 'string', default: DEFAULT_JOBS_DIR, description: 'Directory for uploads, jobs and their results' })
+        .option('concurrency', { type: 'number', default: DEFAULT_JOB_CONCURRENCY, description: 'Jobs running at once' }),
+      (argv) => {
+        runServeCommand(argv).catch((err) => {
+          console.log(err);
+          process.exit(1);
+        });
+      }
+    )
+    .help()
+    .parse();
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,32 @@
+/**
+ * Run async work over a list with a bounded number of tasks in flight.
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at a time.
+ * Results are returned in input order regardless of completion order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Max concurrent calls (values < 1 are treated as 1).
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.min(Math.max(1, Math.floor(limit) || 1), items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,182 @@
+/**
+ * Multi-run consensus: repeat the pipeline N times and combine the verdicts per assertion.
+ *
+ * Methods:
+ * - majority: the verdict given by the most runs wins.
+ * - weighted: each run votes with its confidence; the verdict with the highest total wins.
+ * A tie between verdicts gives "uncertain". Runs with a missing evaluation do not vote.
+ *
+ * Each combined evaluation gets a `consensus` block:
+ * { runs, method, verdicts, distribution: { pass, fail, uncertain, missing }, agreement, confidenceMean, confidenceVariance }
+ * where agreement is the share of runs that gave the consensus verdict.
+ */
+
+const { runPipeline } = require('./claudeAgent');
+const { VERDICTS, MISSING_VERDICT } = require('./evaluationValidator');
+
+/**
+ * Tag every request with its run number so the cache stores one response per run
+ * instead of replaying run 1 for all of them.
+ * @param {{ name: string, send: Function }} provider
+ * @param {number} runIndex - 0-based.
+ * @returns {{ name: string, send: Function }}
+ */
+function withRunIndex(provider, runIndex) {
+  if (runIndex === 0) return provider;
+  return {
+    name: provider.name,
+    send: (request) => provider.send({ ...request, meta: { ...request.meta, run: runIndex } }),
+  };
+}
+
+/**
+ * Run the pipeline opts.runs times (one after another). With a single run this is runPipeline.
+ * Calls, errors and progress events are tagged with their 1-based run number. Once opts.signal is
+ * aborted no further run starts; the runs done so far (the last one partial) are returned.
+ * @param {object} opts - runPipeline options, plus:
+ * @param {number} [opts.runs] - Number of runs (default 1).
+ * @param {(run: number, runs: number) => void} [opts.onRunStart] - Called before each run.
+ * @returns {Promise<{ timeline: Array<object>, evaluations: Map<string, object>, calls: Array<object>, errors: Array<object>, runs?: Array<{ timeline: Array<object>, evaluations: Map<string, object> }> }>}
+ *   With several runs, timeline and evaluations are those of run 1 and `runs` holds every run.
+ */
+async function runRepeatedPipeline(opts) {
+  const { runs = 1, onRunStart, onProgress, ...pipelineOpts } = opts;
+  if (runs <= 1) {
+    return runPipeline({ ...pipelineOpts, onProgress });
+  }
+
+  const results = [];
+  const calls = [];
+  const errors = [];
+  for (let i = 0; i < runs; i++) {
+    if (i > 0 && pipelineOpts.signal && pipelineOpts.signal.aborted) break;
+    if (onRunStart) onRunStart(i + 1, runs);
+    const result = await runPipeline({
+      ...pipelineOpts,
+      provider: withRunIndex(pipelineOpts.provider, i),
+      ...(onProgress ? { onProgress: (event) => onProgress({ ...event, run: i + 1 }) } : {}),
+    });
+    results.push({ timeline: result.timeline, evaluations: result.evaluations });
+    calls.push(...result.calls.map((c) => ({ ...c, run: i + 1 })));
+    errors.push(...result.errors.map((e) => ({ ...e, run: i + 1 })));
+  }
+
+  return {
+    timeline: results[0].timeline,
+    evaluations: results[0].evaluations,
+    calls,
+    errors,
+    runs: results,
+  };
+}
+
+function pickVerdict(evaluations, method) {
+  const scores = new Map(VERDICTS.map((v) => [v, 0]));
+  for (const ev of evaluations) {
+    scores.set(ev.verdict, scores.get(ev.verdict) + (method === 'weighted' ? ev.confidence : 1));
+  }
+  const best = Math.max(...scores.values());
+  const leaders = VERDICTS.filter((v) => scores.get(v) === best);
+  return leaders.length === 1 ? leaders[0] : 'uncertain';
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Combine one assertion's validated evaluations from several runs.
+ * The result keeps the evidence, explanation and type fields of the most confident run that
+ * agrees with the consensus verdict; confidence is the mean confidence of the agreeing runs.
+ * @param {Array<object>} evaluations - Validated evaluations, one per run (see evaluationValidator.js).
+ * @param {string} method - 'majority' | 'weighted'
+ * @returns {object} Validated evaluation with a `consensus` block.
+ */
+function combineEvaluations(evaluations, method) {
+  const runs = evaluations.length;
+  const verdicts = evaluations.map((ev) => ev.verdict);
+  const distribution = { pass: 0, fail: 0, uncertain: 0, [MISSING_VERDICT]: 0 };
+  for (const v of verdicts) distribution[v] += 1;
+
+  const voting = evaluations.filter((ev) => ev.verdict !== MISSING_VERDICT);
+  const confidences = voting.map((ev) => ev.confidence);
+  const confidenceMean = mean(confidences);
+  const confidenceVariance = mean(confidences.map((c) => (c - confidenceMean) ** 2));
+
+  if (voting.length === 0) {
+    return {
+      ...evaluations[0],
+      consensus: { runs, method, verdicts, distribution, agreement: 0, confidenceMean: 0, confidenceVariance: 0 },
+    };
+  }
+
+  const verdict = pickVerdict(voting, method);
+  const agreeing = voting.filter((ev) => ev.verdict === verdict);
+  const representative = agreeing.length
+    ? agreeing.reduce((best, ev) => (ev.confidence > best.confidence ? ev : best))
+    : voting.reduce((best, ev) => (ev.confidence > best.confidence ? ev : best));
+  const issues = Array.from(new Set(voting.flatMap((ev) => ev.validation.issues)));
+
+  return {
+    ...representative,
+    verdict,
+    confidence: round(mean(agreeing.map((ev) => ev.confidence))),
+    validation: { status: issues.length > 0 ? 'corrected' : 'valid', issues },
+    consensus: {
+      runs,
+      method,
+      verdicts,
+      distribution,
+      agreement: round(agreeing.length / runs),
+      confidenceMean: round(confidenceMean),
+      confidenceVariance: round(confidenceVariance),
+    },
+  };
+}
+
+/**
+ * Combine the validated evaluations of every run.
+ * @param {Array<{ evaluations: Map<string, object>, report: object }>} validatedRuns - validateEvaluations output per run.
+ * @param {Array<{ id: string }>} assertions
+ * @param {string} [method] - 'majority' (default) | 'weighted'
+ * @returns {{ evaluations: Map<string, object>, report: object, summary: { runs: number, method: string, unanimousCount: number, meanAgreement: number, unstableAssertionIds: string[] } }}
+ *   report has the same shape as validateEvaluations' report, merged over runs.
+ */
+function combineRuns(validatedRuns, assertions, method = 'majority') {
+  const evaluations = new Map();
+  for (const a of assertions) {
+    evaluations.set(a.id, combineEvaluations(validatedRuns.map((r) => r.evaluations.get(a.id)), method));
+  }
+
+  const idsInAnyRun = (key) => assertions.map((a) => a.id)
+    .filter((id) => validatedRuns.some((r) => r.report[key].includes(id)));
+  const report = {
+    missingAssertionIds: assertions.map((a) => a.id).filter((id) => evaluations.get(id).verdict === MISSING_VERDICT),
+    unknownAssertionIds: Array.from(new Set(validatedRuns.flatMap((r) => r.report.unknownAssertionIds))),
+    correctedAssertionIds: idsInAnyRun('correctedAssertionIds'),
+    hallucinatedEvidenceCount: validatedRuns.reduce((sum, r) => sum + r.report.hallucinatedEvidenceCount, 0),
+    outsideWindowEvidenceCount: validatedRuns.reduce((sum, r) => sum + r.report.outsideWindowEvidenceCount, 0),
+  };
+
+  const agreements = Array.from(evaluations.values()).map((ev) => ev.consensus.agreement);
+  const summary = {
+    runs: validatedRuns.length,
+    method,
+    unanimousCount: agreements.filter((a) => a === 1).length,
+    meanAgreement: round(mean(agreements)),
+    unstableAssertionIds: assertions.map((a) => a.id).filter((id) => evaluations.get(id).consensus.agreement < 1),
+  };
+
+  return { evaluations, report, summary };
+}
+
+module.exports = {
+  runRepeatedPipeline,
+  combineRuns,
+  combineEvaluations,
+  withRunIndex,
+};
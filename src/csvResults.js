@@ -1,12 +1,35 @@
 /**
- * Append validation test results to a CSV file.
- * Creates the file with headers if it doesn't exist; otherwise appends rows.
+ * Append validation results to a CSV file: one row per assertion, with the run's settings on every
+ * row so results from many runs can be pivoted in a spreadsheet.
+ * Creates the file with headers if it doesn't exist; otherwise appends rows. Columns are fixed
+ * (CSV_HEADERS); appending to a file with different headers is refused.
  */
 
 const fs = require('fs');
 const path = require('path');
 
-const CSV_HEADERS = ['fps', 'persona', 'strategy', 'text', 'type', 'testStepDescription', 'resultJson'];
+const CSV_HEADERS = [
+  'runId',
+  'startedAt',
+  'video',
+  'assertionsFile',
+  'strategy',
+  'persona',
+  'model',
+  'fps',
+  'sampling',
+  'runs',
+  'testStepId',
+  'testStepDescription',
+  'assertionId',
+  'text',
+  'type',
+  'verdict',
+  'confidence',
+  'firstEvidenceSeconds',
+  'expectedVerdict',
+  'explanation',
+];
 
 /**
  * Escape a value for CSV: wrap in quotes if it contains comma, newline, or double quote.
@@ -30,35 +53,77 @@ function toCsvLine(values) {
   return values.map(escapeCsvValue).join(',') + '\n';
 }
 
+/**
+ * Earliest evidence timestamp of an assertion, or null.
+ */
+function firstEvidenceSeconds(assertion) {
+  const timestamps = (assertion.evidence || [])
+    .map((e) => e.timestampSeconds)
+    .filter((t) => typeof t === 'number');
+  return timestamps.length ? Math.min(...timestamps) : null;
+}
+
+/**
+ * Build one row per assertion of an output document.
+ * @param {object} output - Output document (see output.js).
+ * @returns {Array<Record<string, unknown>>} Rows keyed by CSV_HEADERS.
+ */
+function buildCsvRows(output) {
+  const run = output.run || {};
+  const settings = run.settings || {};
+  const shared = {
+    runId: run.id,
+    startedAt: run.startedAt,
+    video: output.videoMetadata?.path,
+    assertionsFile: run.assertionsPath,
+    strategy: settings.strategy,
+    persona: settings.persona,
+    model: settings.model,
+    fps: settings.fps,
+    sampling: settings.sampling,
+    runs: settings.runs,
+  };
+  return output.testSteps.flatMap((step) => step.assertions.map((a) => ({
+    ...shared,
+    testStepId: step.id,
+    testStepDescription: step.description,
+    assertionId: a.id,
+    text: a.text,
+    type: a.type,
+    verdict: a.verdict,
+    confidence: a.confidence,
+    firstEvidenceSeconds: firstEvidenceSeconds(a),
+    expectedVerdict: a.expectedVerdict,
+    explanation: a.explanation || a.error,
+  })));
+}
+
 /**
  * Append one or more result rows to the CSV file.
  * Creates the file with header row if it doesn't exist.
  * @param {string} csvPath - Path to the CSV file (e.g. validation-results.csv).
- * @param {Array<{ fps: number, persona: string, strategy: string, text: string, type: string, testStepDescription: string, resultJson: string }>} rows - Rows to append.
+ * @param {Array<Record<string, unknown>>} rows - Rows keyed by CSV_HEADERS (see buildCsvRows).
+ * @throws {Error} When the existing file has different headers.
  */
 function appendResultsToCsv(csvPath, rows) {
   if (!rows || rows.length === 0) return;
 
   const resolved = path.resolve(csvPath);
-  const exists = fs.existsSync(resolved);
+  const exists = fs.existsSync(resolved) && fs.statSync(resolved).size > 0;
 
   const lines = [];
   if (!exists) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
     lines.push(toCsvLine(CSV_HEADERS));
+  } else {
+    const header = fs.readFileSync(resolved, 'utf8').split(/\r?\n/, 1)[0];
+    if (header !== toCsvLine(CSV_HEADERS).trimEnd()) {
+      throw new Error(`${resolved} has different columns than this version writes; use a new CSV file.`);
+    }
   }
 
   for (const row of rows) {
-    lines.push(
-      toCsvLine([
-        row.fps,
-        row.persona,
-        row.strategy,
-        row.text,
-        row.type,
-        row.testStepDescription,
-        row.resultJson,
-      ])
-    );
+    lines.push(toCsvLine(CSV_HEADERS.map((h) => row[h])));
   }
 
   fs.appendFileSync(resolved, lines.join(''), 'utf8');
@@ -66,5 +131,6 @@ function appendResultsToCsv(csvPath, rows) {
 
 module.exports = {
   appendResultsToCsv,
+  buildCsvRows,
   CSV_HEADERS,
 };
@@ -0,0 +1,195 @@
+/**
+ * Compare two validation outputs (testSteps shape): match assertions by id and report verdict flips,
+ * confidence deltas and evidence timestamp changes, plus the settings / prompt versions that differ.
+ * A regression is a verdict that goes from pass to fail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Confidence changes smaller than this are not listed in the text report (default). */
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.1;
+
+/**
+ * Read an output file.
+ * @param {string} filePath
+ * @returns {object}
+ * @throws {Error} When the file is missing, not JSON, or has no testSteps array.
+ */
+function loadResultFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Result file not found: ${resolved}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${resolved}: ${e.message}`);
+  }
+  if (!data || !Array.isArray(data.testSteps)) {
+    throw new Error(`${resolved} has no "testSteps" array; is it a validator output file?`);
+  }
+  return data;
+}
+
+/**
+ * Assertions of an output by id. An id used more than once (outputs of assertions files written
+ * before duplicate ids were rejected, or edited by hand) keeps its first assertion and is listed
+ * in duplicateIds.
+ * @returns {{ byId: Map<string, object>, duplicateIds: string[] }}
+ */
+function indexAssertions(output) {
+  const byId = new Map();
+  const duplicateIds = new Set();
+  for (const step of output.testSteps) {
+    for (const a of step.assertions || []) {
+      if (byId.has(a.id)) duplicateIds.add(a.id);
+      else byId.set(a.id, { ...a, stepId: step.id });
+    }
+  }
+  return { byId, duplicateIds: Array.from(duplicateIds) };
+}
+
+function evidenceTimestamps(assertion) {
+  const timestamps = (assertion.evidence || [])
+    .map((e) => e.timestampSeconds)
+    .filter((t) => typeof t === 'number');
+  return Array.from(new Set(timestamps)).sort((a, b) => a - b);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Settings and prompt versions that differ between the two runs (outputs without `run` have none).
+ * @returns {Array<{ key: string, before: unknown, after: unknown }>}
+ */
+function diffRunContext(before, after) {
+  const changes = [];
+  for (const section of ['settings', 'promptVersions']) {
+    const a = before.run?.[section] || {};
+    const b = after.run?.[section] || {};
+    for (const key of Array.from(new Set([...Object.keys(a), ...Object.keys(b)])).sort()) {
+      if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+        changes.push({ key: `${section}.${key}`, before: a[key] ?? null, after: b[key] ?? null });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare two outputs.
+ * @param {object} before - Baseline output.
+ * @param {object} after - New output.
+ * @returns {{ contextChanges: Array<object>, assertions: Array<object>, addedIds: string[], removedIds: string[], duplicateIds: { before: string[], after: string[] }, summary: object }}
+ *   Each entry in assertions: { id, stepId, text, before: { verdict, confidence }, after: { verdict, confidence },
+ *   verdictChanged, regression, confidenceDelta, evidence: { before, after, added, removed } } (timestamps in seconds).
+ *   duplicateIds: ids used by more than one assertion of an output; only the first of them is compared.
+ */
+function diffResults(before, after) {
+  const { byId: a, duplicateIds: duplicatesBefore } = indexAssertions(before);
+  const { byId: b, duplicateIds: duplicatesAfter } = indexAssertions(after);
+
+  const assertions = [];
+  for (const [id, next] of b) {
+    const prev = a.get(id);
+    if (!prev) continue;
+    const prevTimestamps = evidenceTimestamps(prev);
+    const nextTimestamps = evidenceTimestamps(next);
+    assertions.push({
+      id,
+      stepId: next.stepId,
+      text: next.text,
+      before: { verdict: prev.verdict, confidence: prev.confidence },
+      after: { verdict: next.verdict, confidence: next.confidence },
+      verdictChanged: prev.verdict !== next.verdict,
+      regression: prev.verdict === 'pass' && next.verdict === 'fail',
+      confidenceDelta: round((next.confidence || 0) - (prev.confidence || 0)),
+      evidence: {
+        before: prevTimestamps,
+        after: nextTimestamps,
+        added: nextTimestamps.filter((t) => !prevTimestamps.includes(t)),
+        removed: prevTimestamps.filter((t) => !nextTimestamps.includes(t)),
+      },
+    });
+  }
+
+  const addedIds = Array.from(b.keys()).filter((id) => !a.has(id));
+  const removedIds = Array.from(a.keys()).filter((id) => !b.has(id));
+
+  return {
+    contextChanges: diffRunContext(before, after),
+    assertions,
+    addedIds,
+    removedIds,
+    duplicateIds: { before: duplicatesBefore, after: duplicatesAfter },
+    summary: {
+      matched: assertions.length,
+      verdictChanges: assertions.filter((x) => x.verdictChanged).length,
+      regressions: assertions.filter((x) => x.regression).length,
+      improvements: assertions.filter((x) => x.before.verdict === 'fail' && x.after.verdict === 'pass').length,
+      evidenceChanges: assertions.filter((x) => x.evidence.added.length || x.evidence.removed.length).length,
+      added: addedIds.length,
+      removed: removedIds.length,
+    },
+  };
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Text report of a diff. Assertions are listed when the verdict changed, the confidence moved by at
+ * least confidenceThreshold, or evidence timestamps changed.
+ * @param {ReturnType<typeof diffResults>} diff
+ * @param {{ confidenceThreshold?: number }} [opts]
+ * @returns {string}
+ */
+function formatDiff(diff, opts = {}) {
+  const threshold = opts.confidenceThreshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+  const lines = [];
+
+  if (diff.contextChanges.length > 0) {
+    lines.push('Run differences:');
+    for (const c of diff.contextChanges) {
+      lines.push(`  ${c.key}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`);
+    }
+    lines.push('');
+  }
+
+  const listed = diff.assertions.filter((x) => x.verdictChanged
+    || Math.abs(x.confidenceDelta) >= threshold
+    || x.evidence.added.length > 0
+    || x.evidence.removed.length > 0);
+  for (const x of listed) {
+    const marker = x.regression ? 'REGRESSION' : x.verdictChanged ? 'changed' : 'same verdict';
+    const verdict = x.verdictChanged ? `${x.before.verdict} → ${x.after.verdict}` : x.after.verdict;
+    lines.push(`${x.id} [${marker}] ${verdict}, confidence ${x.before.confidence} → ${x.after.confidence} (${formatDelta(x.confidenceDelta)})`);
+    if (x.evidence.added.length || x.evidence.removed.length) {
+      const parts = [];
+      if (x.evidence.added.length) parts.push(`+${x.evidence.added.map((t) => `${t}s`).join(', +')}`);
+      if (x.evidence.removed.length) parts.push(`-${x.evidence.removed.map((t) => `${t}s`).join(', -')}`);
+      lines.push(`  evidence timestamps: ${parts.join('; ')}`);
+    }
+  }
+  if (diff.addedIds.length) lines.push(`Only in new run: ${diff.addedIds.join(', ')}`);
+  if (diff.removedIds.length) lines.push(`Only in baseline: ${diff.removedIds.join(', ')}`);
+  if (diff.duplicateIds.before.length) lines.push(`Warning: baseline reuses id(s) ${diff.duplicateIds.before.join(', ')}; only the first of each is compared`);
+  if (diff.duplicateIds.after.length) lines.push(`Warning: new run reuses id(s) ${diff.duplicateIds.after.join(', ')}; only the first of each is compared`);
+
+  const s = diff.summary;
+  if (lines.length > 0) lines.push('');
+  lines.push(`${s.matched} matched assertion(s): ${s.verdictChanges} verdict change(s), ${s.regressions} regression(s) (pass → fail), ${s.improvements} improvement(s) (fail → pass), ${s.evidenceChanges} evidence change(s)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  loadResultFile,
+  diffResults,
+  formatDiff,
+};
@@ -0,0 +1,82 @@
+/**
+ * Errors thrown for unusable input, so callers of the library API can tell them apart from bugs
+ * and model call failures (which are recorded in the output instead of thrown):
+ * - SettingsError (INVALID_SETTINGS): settings or provider setup, e.g. a missing API key
+ * - AssertionsError (INVALID_ASSERTIONS): assertions file not found, invalid or empty
+ * - VideoError (VIDEO_UNUSABLE): recording not found or no frames could be extracted
+ * - CancelledError (CANCELLED): the run's AbortSignal fired before there was anything to return
+ * Each is a ValidatorError with a stable `code`.
+ */
+
+class ValidatorError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code
+   * @param {{ cause?: Error }} [options]
+   */
+  constructor(message, code, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+class SettingsError extends ValidatorError {
+  constructor(message, options) {
+    super(message, 'INVALID_SETTINGS', options);
+  }
+}
+
+class AssertionsError extends ValidatorError {
+  /**
+   * @param {string} message
+   * @param {{ problems?: Array<object>, cause?: Error }} [options] - problems: lint errors (see assertionSchema.js).
+   */
+  constructor(message, options = {}) {
+    super(message, 'INVALID_ASSERTIONS', options);
+    this.problems = options.problems || [];
+  }
+}
+
+class VideoError extends ValidatorError {
+  constructor(message, options) {
+    super(message, 'VIDEO_UNUSABLE', options);
+  }
+}
+
+class CancelledError extends ValidatorError {
+  constructor(message = 'Run cancelled', options) {
+    super(message, 'CANCELLED', options);
+  }
+}
+
+/**
+ * Why a signal was aborted: the message of its reason, or "Run cancelled".
+ * @param {AbortSignal} signal
+ * @returns {string}
+ */
+function getAbortReason(signal) {
+  const reason = signal.reason;
+  if (reason instanceof Error && reason.name !== 'AbortError') return reason.message;
+  return typeof reason === 'string' ? reason : 'Run cancelled';
+}
+
+/**
+ * Throw a CancelledError when the signal has been aborted.
+ * @param {AbortSignal} [signal]
+ * @throws {CancelledError}
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw new CancelledError(getAbortReason(signal));
+}
+
+module.exports = {
+  ValidatorError,
+  SettingsError,
+  AssertionsError,
+  VideoError,
+  CancelledError,
+  getAbortReason,
+  throwIfAborted,
+};
@@ -0,0 +1,371 @@
+/**
+ * Validate and normalize model evaluations before output assembly.
+ * Checks each evaluation against the expected schema, clamps or replaces bad values, flags evidence
+ * that cannot exist in the recording (hallucinated timestamps / frames) or lies outside the
+ * assertion's time window, and reports assertions
+ * the model did not evaluate and evaluations for assertion ids that do not exist.
+ *
+ * Normalized evaluation:
+ * { verdict, confidence, explanation, evidence: [{ timestampSeconds, frameIndex?, description, hallucinated?, flags? }],
+ *   validation: { status: 'valid' | 'corrected' | 'missing', issues: string[] }, error?,
+ *   ...type fields: keyFrame (concrete) | score, rubric, rationale (subjective) | sequence (behavioral)
+ *   | flowSteps, firstFailedStep (flow) | events, measurement (timing) }
+ */
+
+const { checkFlow, formatFlowFailure } = require('./flowEvaluator');
+const { measureTiming } = require('./timingEvaluator');
+const { getFramesShown } = require('./frameSelection');
+
+/** Verdicts the model may return. */
+const VERDICTS = ['pass', 'fail', 'uncertain'];
+
+/** Verdict for assertions that have no usable evaluation (call failed or model skipped it). */
+const MISSING_VERDICT = 'missing';
+
+const VERDICT_SYNONYMS = {
+  passed: 'pass',
+  true: 'pass',
+  yes: 'pass',
+  failed: 'fail',
+  failure: 'fail',
+  false: 'fail',
+  no: 'fail',
+  unknown: 'uncertain',
+  inconclusive: 'uncertain',
+  unclear: 'uncertain',
+};
+
+/** Slack (seconds) allowed past the end of the video and between a frame's timestamp and the cited one. */
+const TIMESTAMP_TOLERANCE_SECONDS = 1;
+
+function normalizeVerdict(value, issues) {
+  const raw = typeof value === 'string' ? value.trim().toLowerCase() : value;
+  if (VERDICTS.includes(raw)) return raw;
+  const mapped = typeof raw === 'string' ? VERDICT_SYNONYMS[raw] : undefined;
+  if (mapped) {
+    issues.push(`verdict "${value}" normalized to "${mapped}"`);
+    return mapped;
+  }
+  issues.push(`verdict ${JSON.stringify(value)} is not one of ${VERDICTS.join('|')}; set to "uncertain"`);
+  return 'uncertain';
+}
+
+function normalizeConfidence(value, issues) {
+  let c = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof c !== 'number' || Number.isNaN(c)) {
+    issues.push(`confidence ${JSON.stringify(value)} is not a number; set to 0`);
+    return 0;
+  }
+  // 2–100 reads as a percentage; a value just above 1 (e.g. 1.5) is an overshoot and is clamped below.
+  if (c >= 2 && c <= 100) {
+    issues.push(`confidence ${value} looks like a percentage; scaled to ${c / 100}`);
+    c /= 100;
+  }
+  if (c < 0 || c > 1) {
+    const clamped = Math.min(1, Math.max(0, c));
+    issues.push(`confidence ${value} clamped to ${clamped}`);
+    return clamped;
+  }
+  return c;
+}
+
+/**
+ * Parse a timestamp given as seconds, a numeric string, or "mm:ss(.s)".
+ * @returns {number | null}
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const mmss = value.trim().match(/^(\d+):(\d{1,2}(?:\.\d+)?)$/);
+  if (mmss) return Number(mmss[1]) * 60 + Number(mmss[2]);
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Normalize one evidence-like entry ({ timestampSeconds, frameIndex?, description }) and flag
+ * timestamps / frames that cannot exist in the recording.
+ * @param {object} item
+ * @param {string} label - Where the entry came from, for issue messages (e.g. "evidence[2]").
+ * @returns {object | null} Normalized entry, or null when item is not an object.
+ */
+function normalizeEvidenceItem(item, label, context, issues) {
+  if (!item || typeof item !== 'object') {
+    issues.push(`${label} is not an object; dropped`);
+    return null;
+  }
+  const { maxTimestamp, frameTimestamps, window } = context;
+  const flags = [];
+  const entry = {};
+
+  const t = parseTimestamp(item.timestampSeconds);
+  if (t == null) {
+    flags.push('missing-timestamp');
+    entry.timestampSeconds = null;
+  } else {
+    entry.timestampSeconds = t;
+    if (t < 0 || t > maxTimestamp + TIMESTAMP_TOLERANCE_SECONDS) {
+      flags.push('timestamp-out-of-range');
+    } else if (window && (t < window.startSeconds - TIMESTAMP_TOLERANCE_SECONDS
+      || (window.endSeconds != null && t > window.endSeconds + TIMESTAMP_TOLERANCE_SECONDS))) {
+      flags.push('outside-window');
+    }
+  }
+
+  if (item.frameIndex != null) {
+    const frameIndex = Number(item.frameIndex);
+    entry.frameIndex = frameIndex;
+    if (!frameTimestamps.has(frameIndex)) {
+      flags.push('unknown-frame');
+    } else if (t != null && Math.abs(frameTimestamps.get(frameIndex) - t) > TIMESTAMP_TOLERANCE_SECONDS) {
+      flags.push('frame-timestamp-mismatch');
+    }
+  }
+
+  entry.description = typeof item.description === 'string' ? item.description : String(item.description ?? '');
+
+  if (flags.length > 0) {
+    entry.flags = flags;
+    if (flags.includes('timestamp-out-of-range') || flags.includes('unknown-frame')) {
+      entry.hallucinated = true;
+    }
+    issues.push(`${label} flagged: ${flags.join(', ')}`);
+  }
+  return entry;
+}
+
+function normalizeEvidence(value, context, issues) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) {
+    issues.push('evidence is not an array; dropped');
+    return [];
+  }
+  return value
+    .map((item, i) => normalizeEvidenceItem(item, `evidence[${i}]`, context, issues))
+    .filter(Boolean);
+}
+
+function clampScore(value, label, issues) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof n !== 'number' || Number.isNaN(n)) {
+    issues.push(`${label} ${JSON.stringify(value)} is not a number`);
+    return null;
+  }
+  if (n < 1 || n > 5) {
+    const clamped = Math.min(5, Math.max(1, n));
+    issues.push(`${label} ${n} clamped to ${clamped}`);
+    return clamped;
+  }
+  return n;
+}
+
+/**
+ * Normalize the extra fields required for the assertion's type (see ASSERTION_TYPE_GUIDANCE in prompts.js).
+ * @param {string} type - concrete | subjective | behavioral | flow | timing
+ * @param {object} ev - Raw evaluation.
+ * @param {string} verdict - Normalized verdict.
+ * @returns {object} Type-specific fields to merge into the normalized evaluation (flow and timing:
+ *   also the verdict, which follows the flow check / the measurement).
+ */
+function normalizeTypeFields(type, ev, verdict, context, issues) {
+  const decided = verdict === 'pass' || verdict === 'fail';
+
+  if (type === 'timing') {
+    const raw = ev.events && typeof ev.events === 'object' ? ev.events : {};
+    const events = {};
+    for (const key of ['from', 'to']) {
+      const item = raw[key];
+      if (item && item.observed === false) {
+        events[key] = { observed: false, timestampSeconds: null, description: String(item.description ?? '') };
+      } else {
+        const entry = item == null ? null : normalizeEvidenceItem(item, `events.${key}`, context, issues);
+        events[key] = entry ? { observed: true, ...entry } : null;
+      }
+    }
+    const measurement = measureTiming(context.timing, events, context.timingFrames);
+    let timingVerdict = verdict;
+    if (measurement.result !== 'not-measured') {
+      timingVerdict = measurement.result;
+    } else if (verdict === 'pass') {
+      // Nothing was measured, so nothing shows the bound holds.
+      timingVerdict = 'uncertain';
+    }
+    if (timingVerdict !== verdict) {
+      issues.push(`verdict "${verdict}" changed to "${timingVerdict}" by the measurement (${measurement.reason})`);
+    }
+    return { verdict: timingVerdict, events, measurement };
+  }
+
+  if (type === 'flow') {
+    const raw = Array.isArray(ev.flowSteps) ? ev.flowSteps : [];
+    const observations = raw
+      .map((item, i) => {
+        const step = Number(item?.step);
+        const stepNumber = Number.isFinite(step) ? step : i + 1;
+        // A state that was not seen has no timestamp to check.
+        if (item && item.observed === false) {
+          return { step: stepNumber, observed: false, timestampSeconds: null, description: String(item.description ?? '') };
+        }
+        const entry = normalizeEvidenceItem(item, `flowSteps[${i}]`, context, issues);
+        return entry ? { step: stepNumber, observed: true, ...entry } : null;
+      })
+      .filter(Boolean);
+    if (observations.length === 0 && decided) issues.push('flow evaluation has no flowSteps');
+
+    const result = checkFlow(context.flow || [], observations, context.timingFrames);
+    const uncertainSteps = result.steps.filter((s) => s.status === 'uncertain').map((s) => s.step);
+    // "uncertain" stays: the model could not tell whether the states were there.
+    let flowVerdict = verdict;
+    if (verdict !== 'uncertain') {
+      if (result.firstFailedStep) flowVerdict = 'fail';
+      else flowVerdict = result.passed ? 'pass' : 'uncertain';
+    }
+    if (flowVerdict !== verdict) {
+      let why = 'every flow state was observed in time';
+      if (result.firstFailedStep) why = formatFlowFailure(result.firstFailedStep);
+      else if (!result.passed) why = `the delay of step(s) ${uncertainSteps.join(', ')} may be over the max at this sampling interval`;
+      issues.push(`verdict "${verdict}" changed to "${flowVerdict}" by the flow check (${why})`);
+    }
+    return { verdict: flowVerdict, flowSteps: result.steps, firstFailedStep: result.firstFailedStep };
+  }
+
+  if (type === 'subjective') {
+    const score = ev.score == null ? null : clampScore(ev.score, 'score', issues);
+    if (score == null && decided) issues.push('subjective evaluation has no rubric score');
+    const rubric = Array.isArray(ev.rubric)
+      ? ev.rubric.filter((r) => r && typeof r === 'object').map((r, i) => ({
+        criterion: String(r.criterion ?? ''),
+        score: clampScore(r.score, `rubric[${i}].score`, issues),
+        note: typeof r.note === 'string' ? r.note : '',
+      }))
+      : [];
+    if (score != null && ((verdict === 'pass' && score <= 2) || (verdict === 'fail' && score >= 4))) {
+      issues.push(`verdict "${verdict}" disagrees with score ${score}`);
+    }
+    return {
+      score,
+      rubric,
+      rationale: typeof ev.rationale === 'string' ? ev.rationale : '',
+    };
+  }
+
+  if (type === 'behavioral') {
+    const raw = Array.isArray(ev.sequence) ? ev.sequence : [];
+    const sequence = raw
+      .map((item, i) => {
+        const entry = normalizeEvidenceItem(item, `sequence[${i}]`, context, issues);
+        if (!entry) return null;
+        const order = Number(item.order);
+        return { order: Number.isFinite(order) ? order : i + 1, ...entry };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.order - b.order);
+    if (sequence.length === 0 && decided) issues.push('behavioral evaluation has no sequence');
+    for (let i = 1; i < sequence.length; i++) {
+      const prev = sequence[i - 1].timestampSeconds;
+      const cur = sequence[i].timestampSeconds;
+      if (prev != null && cur != null && cur < prev) {
+        issues.push(`sequence step ${sequence[i].order} (t=${cur}s) is earlier than step ${sequence[i - 1].order} (t=${prev}s)`);
+        break;
+      }
+    }
+    return { sequence };
+  }
+
+  // concrete (default)
+  const keyFrame = ev.keyFrame ? normalizeEvidenceItem(ev.keyFrame, 'keyFrame', context, issues) : null;
+  if (!keyFrame && decided) issues.push('concrete evaluation has no keyFrame');
+  return { keyFrame };
+}
+
+/**
+ * Validate one evaluation.
+ * @param {object | undefined} ev - Raw evaluation from the pipeline.
+ * @param {{ maxTimestamp: number, frameTimestamps: Map<number, number>, window?: { startSeconds: number, endSeconds: number | null }, flow?: Array<object>, timing?: object, timingFrames?: { shown: Array<object>, all: Array<object> } }} context
+ *   window: the assertion's time window; evidence outside it is flagged "outside-window".
+ *   flow: the compiled flow of a flow assertion.
+ *   timing: a timing assertion's bounds.
+ *   timingFrames: the frames a timing assertion's events or a flow's delays are measured on.
+ * @param {string} [type] - Assertion type (concrete | subjective | behavioral | flow | timing).
+ * @returns {object} Normalized evaluation.
+ */
+function validateEvaluation(ev, context, type = 'concrete') {
+  if (!ev || ev.missing) {
+    return {
+      verdict: MISSING_VERDICT,
+      confidence: 0,
+      explanation: '',
+      evidence: [],
+      validation: { status: 'missing', issues: [] },
+      error: ev?.error || 'No evaluation returned for this assertion.',
+    };
+  }
+
+  const issues = [];
+  const normalized = {
+    verdict: normalizeVerdict(ev.verdict, issues),
+    confidence: normalizeConfidence(ev.confidence, issues),
+    explanation: typeof ev.explanation === 'string' ? ev.explanation : String(ev.explanation ?? ''),
+    evidence: normalizeEvidence(ev.evidence, context, issues),
+  };
+  Object.assign(normalized, normalizeTypeFields(type, ev, normalized.verdict, context, issues));
+  if ((normalized.verdict === 'pass' || normalized.verdict === 'fail')
+    && normalized.evidence.length > 0
+    && normalized.evidence.every((e) => e.hallucinated)) {
+    issues.push(`all evidence for a "${normalized.verdict}" verdict is outside the recording`);
+  }
+  normalized.validation = { status: issues.length > 0 ? 'corrected' : 'valid', issues };
+  return normalized;
+}
+
+/**
+ * Validate all evaluations of a run.
+ * @param {object} opts
+ * @param {Map<string, object>} opts.evaluations - runPipeline evaluations keyed by assertion id.
+ * @param {Array<{ id: string, type?: string, window?: object, flow?: Array<object>, timing?: object }>} opts.assertions
+ * @param {Array<{ timestampSeconds: number, frameIndex: number }>} opts.frames - Frames extracted for the run.
+ * @param {number} opts.durationSeconds - Video duration (0 if unknown).
+ * @param {string} [opts.strategy] - Strategy of the run; decides which frames timing assertions and flow delays are measured on.
+ * @returns {{ evaluations: Map<string, object>, report: { missingAssertionIds: string[], unknownAssertionIds: string[], correctedAssertionIds: string[], hallucinatedEvidenceCount: number, outsideWindowEvidenceCount: number } }}
+ */
+function validateEvaluations(opts) {
+  const { evaluations, assertions, frames, durationSeconds, strategy = 'two-pass' } = opts;
+  const frameTimestamps = new Map(frames.map((f) => [f.frameIndex, f.timestampSeconds]));
+  const lastFrameTimestamp = frames.length ? frames[frames.length - 1].timestampSeconds : 0;
+  // Duration can be 0 when ffprobe fails; fall back to the last frame.
+  const context = { maxTimestamp: Math.max(durationSeconds || 0, lastFrameTimestamp), frameTimestamps };
+
+  const known = new Set(assertions.map((a) => a.id));
+  const report = {
+    missingAssertionIds: [],
+    unknownAssertionIds: Array.from(evaluations.keys()).filter((id) => !known.has(id)),
+    correctedAssertionIds: [],
+    hallucinatedEvidenceCount: 0,
+    outsideWindowEvidenceCount: 0,
+  };
+
+  const byId = new Map();
+  for (const a of assertions) {
+    const assertionContext = { ...context, ...(a.window ? { window: a.window } : {}), ...(a.flow ? { flow: a.flow } : {}) };
+    if (a.timing) assertionContext.timing = a.timing;
+    if (a.timing || a.flow) {
+      assertionContext.timingFrames = { shown: getFramesShown(frames, a.window || null, strategy), all: frames };
+    }
+    const normalized = validateEvaluation(evaluations.get(a.id), assertionContext, a.type);
+    if (normalized.validation.status === 'missing') report.missingAssertionIds.push(a.id);
+    if (normalized.validation.status === 'corrected') report.correctedAssertionIds.push(a.id);
+    report.hallucinatedEvidenceCount += normalized.evidence.filter((e) => e.hallucinated).length;
+    report.outsideWindowEvidenceCount += normalized.evidence.filter((e) => e.flags?.includes('outside-window')).length;
+    byId.set(a.id, normalized);
+  }
+
+  return { evaluations: byId, report };
+}
+
+module.exports = {
+  VERDICTS,
+  MISSING_VERDICT,
+  validateEvaluations,
+  validateEvaluation,
+  parseTimestamp,
+};
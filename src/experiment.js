@@ -0,0 +1,316 @@
+/**
+ * Experiment matrix runner: validate every combination of videos × assertion files × strategies ×
+ * personas × fps × models and compare verdicts per assertion across the combinations (cells).
+ *
+ * Matrix file (JSON; paths are relative to the file):
+ * {
+ *   "name": "strategy-vs-persona",
+ *   "videos": ["wa-text/recording.mp4"],
+ *   "assertions": ["assertions/wa-text/qa-1.json"],
+ *   "strategies": ["single", "two-pass"],
+ *   "personas": ["ux-designer", "qa-engineer"],
+ *   "fps": [1, 2],
+ *   "models": ["claude-sonnet-4-5"],
+ *   "settings": { "cache": "read" }
+ * }
+ * Omitted dimensions use the configured setting. `settings` applies to every cell.
+ *
+ * Output directory:
+ * - cells/<cellId>.json — the full result of each cell (run.settings records its settings)
+ * - experiment.json — matrix, cell list (settings, result path, accuracy when labeled, error) and the comparison
+ * - comparison.md — verdict per assertion across cells, one table per video × assertions file
+ * - results.csv — one row per assertion per cell (see csvResults.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSettings } = require('../config/settings');
+const { loadAssertions } = require('./assertions');
+const { appendResultsToCsv, buildCsvRows } = require('./csvResults');
+const { checkSettings, createRunProvider, prepareFrames, evaluateRecording, removeFramesDir } = require('./runner');
+
+/** Matrix dimensions that map to a setting, in cell id order. */
+const DIMENSIONS = [
+  { key: 'strategies', setting: 'strategy' },
+  { key: 'personas', setting: 'persona' },
+  { key: 'fps', setting: 'fps' },
+  { key: 'models', setting: 'model' },
+];
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read and check a matrix file. Video and assertions paths are resolved against its directory.
+ * @param {string} matrixPath
+ * @returns {{ name: string, videos: string[], assertions: string[], strategies: Array, personas: Array, fps: Array, models: Array, settings: object }}
+ * @throws {Error} When the file is missing, not JSON, or has no videos / assertions.
+ */
+function loadMatrix(matrixPath) {
+  const resolved = path.resolve(matrixPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Matrix file not found: ${resolved}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid matrix JSON in ${resolved}: ${e.message}`);
+  }
+  const baseDir = path.dirname(resolved);
+  const matrix = {
+    name: data.name || path.basename(resolved, '.json'),
+    videos: toList(data.videos).map((v) => path.resolve(baseDir, v)),
+    assertions: toList(data.assertions).map((a) => path.resolve(baseDir, a)),
+    settings: data.settings || {},
+  };
+  for (const { key } of DIMENSIONS) matrix[key] = toList(data[key]);
+  if (matrix.videos.length === 0) throw new Error('Matrix has no "videos"');
+  if (matrix.assertions.length === 0) throw new Error('Matrix has no "assertions"');
+  return matrix;
+}
+
+function slug(value) {
+  return String(value).replace(/\.[^./]+$/, '').replace(/[^a-zA-Z0-9.-]+/g, '-');
+}
+
+/**
+ * Id part for a video or assertions file: its parent directory and name, so files with the same
+ * name in different directories (wa-text/recording.mp4, wa-del-msg/recording.mp4) stay apart.
+ */
+function fileSlug(filePath) {
+  return `${slug(path.basename(path.dirname(filePath)))}-${slug(path.basename(filePath))}`;
+}
+
+/**
+ * Expand a matrix into cells. Each cell has the settings overrides of its dimensions;
+ * dimensions the matrix leaves empty are not part of the cell (the configured setting applies).
+ * @param {object} matrix - loadMatrix result.
+ * @returns {Array<{ id: string, video: string, assertions: string, overrides: object }>}
+ * @throws {Error} When two cells get the same id (e.g. a video listed twice), since each cell's
+ *   result is written to cells/<id>.json.
+ */
+function expandMatrix(matrix) {
+  let combos = [{}];
+  for (const { key, setting } of DIMENSIONS) {
+    if (matrix[key].length === 0) continue;
+    combos = combos.flatMap((combo) => matrix[key].map((value) => ({ ...combo, [setting]: value })));
+  }
+
+  const cells = [];
+  const ids = new Set();
+  for (const video of matrix.videos) {
+    for (const assertions of matrix.assertions) {
+      for (const overrides of combos) {
+        const parts = [fileSlug(video), fileSlug(assertions)];
+        for (const { setting } of DIMENSIONS) {
+          if (overrides[setting] != null) parts.push(setting === 'fps' ? `fps${overrides.fps}` : slug(overrides[setting]));
+        }
+        const id = parts.join('__');
+        if (ids.has(id)) throw new Error(`Matrix has two cells with id "${id}": list each video, assertions file and dimension value once`);
+        ids.add(id);
+        cells.push({ id, video, assertions, overrides });
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Column label for a cell: the values of the dimensions that vary in the experiment.
+ */
+function cellLabel(cell, varying) {
+  return varying.map((setting) => (setting === 'fps' ? `fps ${cell.settings.fps}` : cell.settings[setting])).join(' / ');
+}
+
+/**
+ * Compare verdicts per assertion across cells that share a video and assertions file.
+ * @param {Array<{ id: string, video: string, assertions: string, settings: object, output?: object }>} cells - Cells with their output (failed cells have none).
+ * @returns {Array<{ video: string, assertions: string, columns: Array<{ cellId: string, label: string }>, rows: Array<{ assertionId: string, text: string, expectedVerdict?: string, verdicts: Record<string, { verdict: string, confidence: number } | null>, agreement: number }> }>}
+ *   agreement is the share of completed cells that gave the most common verdict.
+ */
+function buildComparison(cells) {
+  const varying = DIMENSIONS.map((d) => d.setting)
+    .filter((setting) => new Set(cells.map((c) => c.settings[setting])).size > 1);
+
+  const groups = new Map();
+  for (const cell of cells) {
+    const key = `${cell.video}\n${cell.assertions}`;
+    if (!groups.has(key)) groups.set(key, { video: cell.video, assertions: cell.assertions, cells: [] });
+    groups.get(key).cells.push(cell);
+  }
+
+  return Array.from(groups.values()).map((group) => {
+    const rows = new Map();
+    for (const cell of group.cells) {
+      if (!cell.output) continue;
+      for (const step of cell.output.testSteps) {
+        for (const a of step.assertions) {
+          if (!rows.has(a.id)) {
+            rows.set(a.id, { assertionId: a.id, text: a.text, ...(a.expectedVerdict ? { expectedVerdict: a.expectedVerdict } : {}), verdicts: {} });
+          }
+          rows.get(a.id).verdicts[cell.id] = { verdict: a.verdict, confidence: a.confidence };
+        }
+      }
+    }
+    for (const row of rows.values()) {
+      for (const cell of group.cells) {
+        if (!(cell.id in row.verdicts)) row.verdicts[cell.id] = null;
+      }
+      const counts = new Map();
+      const given = Object.values(row.verdicts).filter(Boolean);
+      for (const { verdict } of given) counts.set(verdict, (counts.get(verdict) || 0) + 1);
+      const top = Math.max(0, ...counts.values());
+      row.agreement = given.length ? Math.round((top / given.length) * 1000) / 1000 : 0;
+    }
+    return {
+      video: group.video,
+      assertions: group.assertions,
+      columns: group.cells.map((c) => ({ cellId: c.id, label: cellLabel(c, varying) || c.id })),
+      rows: Array.from(rows.values()),
+    };
+  });
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the comparison as Markdown tables (one per video × assertions file).
+ * @param {ReturnType<typeof buildComparison>} comparison
+ * @returns {string}
+ */
+function formatComparisonMarkdown(comparison) {
+  const sections = comparison.map((group) => {
+    const labeled = group.rows.some((r) => r.expectedVerdict);
+    const header = ['Assertion', ...(labeled ? ['Expected'] : []), ...group.columns.map((c) => c.label), 'Agreement'];
+    const lines = [
+      `## ${path.basename(group.video)} × ${path.basename(group.assertions)}`,
+      '',
+      `| ${header.map(escapeMarkdownCell).join(' | ')} |`,
+      `|${header.map(() => '---').join('|')}|`,
+    ];
+    for (const row of group.rows) {
+      const cells = group.columns.map((c) => {
+        const v = row.verdicts[c.cellId];
+        return v ? `${v.verdict} (${v.confidence})` : '—';
+      });
+      const expected = labeled ? [row.expectedVerdict || '—'] : [];
+      lines.push(`| ${[row.assertionId, ...expected, ...cells, row.agreement].map(escapeMarkdownCell).join(' | ')} |`);
+    }
+    return lines.join('\n');
+  });
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Run every cell of a matrix. Frames are extracted once per video and sampling setting and
+ * shared by the cells that use them. A failing cell is recorded and the experiment continues.
+ * @param {object} opts
+ * @param {object} opts.matrix - loadMatrix result.
+ * @param {string} opts.outDir - Directory for cell results and the comparison.
+ * @param {object} [opts.overrides] - Settings overrides for every cell (e.g. from CLI flags); matrix dimensions win.
+ * @param {string} [opts.apiKey]
+ * @param {boolean} [opts.keepFrames]
+ * @param {(event: object) => void} [opts.onProgress] - Progress events of frame extraction and each
+ *   cell's evaluation (see runner.js), a 'stage' event as each cell starts, and 'warning' events
+ *   for settings and assertions file warnings and failed cells.
+ * @returns {Promise<object>} The experiment manifest (also written to outDir/experiment.json).
+ */
+async function runExperiment(opts) {
+  const { matrix, outDir, overrides = {}, apiKey, keepFrames = false, onProgress } = opts;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  const onWarning = (message) => emit({ type: 'warning', message });
+  const startedAt = new Date();
+  const cellsDir = path.join(outDir, 'cells');
+  fs.mkdirSync(cellsDir, { recursive: true });
+
+  const cells = expandMatrix(matrix).map((cell) => ({
+    ...cell,
+    settings: loadSettings({ ...matrix.settings, ...overrides, ...cell.overrides }, { onWarning }),
+  }));
+  emit({ type: 'stage', message: `Experiment "${matrix.name}": ${cells.length} cell(s)` });
+
+  const assertionsByPath = new Map();
+  const extractions = new Map();
+  const framesRoot = path.join(process.cwd(), 'tmp', 'experiment-' + Date.now());
+
+  for (const [i, cell] of cells.entries()) {
+    emit({ type: 'stage', message: `[${i + 1}/${cells.length}] ${cell.id}` });
+    const cellStartedAt = new Date();
+    try {
+      checkSettings(cell.settings);
+      if (!assertionsByPath.has(cell.assertions)) {
+        assertionsByPath.set(cell.assertions, loadAssertions(cell.assertions, { onWarning }));
+      }
+      const assertions = assertionsByPath.get(cell.assertions);
+      if (assertions.length === 0) throw new Error(`No assertions found in ${cell.assertions}`);
+
+      const { fps, sampling, changeThreshold, frameBudget } = cell.settings;
+      const framesKey = JSON.stringify([cell.video, fps, sampling, changeThreshold, frameBudget]);
+      if (!extractions.has(framesKey)) {
+        const framesDir = path.join(framesRoot, String(extractions.size + 1));
+        extractions.set(framesKey, prepareFrames({ videoPath: cell.video, settings: cell.settings, framesDir, onProgress }));
+      }
+      const extraction = await extractions.get(framesKey);
+
+      cell.output = await evaluateRecording({
+        provider: createRunProvider(cell.settings, { apiKey }),
+        settings: cell.settings,
+        videoPath: cell.video,
+        assertionsPath: cell.assertions,
+        assertions,
+        extraction,
+        startedAt: cellStartedAt,
+        onProgress,
+      });
+      cell.resultPath = path.join(cellsDir, `${cell.id}.json`);
+      fs.writeFileSync(cell.resultPath, JSON.stringify(cell.output, null, 2), 'utf8');
+      appendResultsToCsv(path.join(outDir, 'results.csv'), buildCsvRows(cell.output));
+    } catch (e) {
+      onWarning(`cell ${cell.id} failed: ${e.message}`);
+      cell.error = e.message;
+    }
+  }
+
+  if (!keepFrames) {
+    for (let n = 1; n <= extractions.size; n++) removeFramesDir(path.join(framesRoot, String(n)), onWarning);
+    removeFramesDir(framesRoot, onWarning);
+  }
+
+  const comparison = buildComparison(cells);
+  const completedAt = new Date();
+  const manifest = {
+    name: matrix.name,
+    startedAt: startedAt.toISOString(),
+    completedAt: completedAt.toISOString(),
+    durationMs: completedAt.getTime() - startedAt.getTime(),
+    matrix,
+    cells: cells.map((c) => ({
+      id: c.id,
+      video: c.video,
+      assertions: c.assertions,
+      settings: c.settings,
+      ...(c.resultPath ? { resultPath: path.relative(outDir, c.resultPath) } : {}),
+      ...(c.output?.scoring ? { accuracy: c.output.scoring.accuracy } : {}),
+      ...(c.error ? { error: c.error } : {}),
+    })),
+    comparison,
+  };
+  fs.writeFileSync(path.join(outDir, 'experiment.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  fs.writeFileSync(path.join(outDir, 'comparison.md'), formatComparisonMarkdown(comparison), 'utf8');
+  return manifest;
+}
+
+module.exports = {
+  loadMatrix,
+  expandMatrix,
+  buildComparison,
+  formatComparisonMarkdown,
+  runExperiment,
+};
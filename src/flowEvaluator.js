@@ -0,0 +1,131 @@
+/**
+ * Check a flow assertion: the model reports when it observed each expected state (flowSteps), and
+ * the states are checked here, in order, for presence, ordering and max delays. The verdict of a
+ * flow assertion comes from this check, not from the model's reading of the whole flow.
+ *
+ * A step fails when:
+ * - not-observed: the state was not seen, or only with hallucinated evidence (the failure time is
+ *   that of the last state that was seen)
+ * - out-of-order: it was seen before the previous state
+ * - too-slow: it was seen more than maxDelaySeconds after the previous state (the failure time is
+ *   the deadline, previous state + maxDelaySeconds)
+ * Timestamps come from sampled frames, so a measured delay can be off by up to one sampling
+ * interval at each end. Given the frames, a max delay is checked on the possible range of the delay
+ * (as for timing assertions, see timingEvaluator.js): too-slow only when even the earliest possible
+ * delay is over the max, and 'uncertain' when the range straddles it. An uncertain step does not
+ * stop the check, but the flow then does not pass.
+ */
+
+const { possibleDuration } = require('./timingEvaluator');
+
+/**
+ * @param {Array<{ step: number, state: string, maxDelaySeconds: number | null }>} flow - Compiled flow (see assertions.js).
+ * @param {Array<{ step: number, observed: boolean, timestampSeconds: number | null, frameIndex?: number, description: string }>} observations
+ *   Normalized flowSteps from the model, matched to the flow by step number.
+ * @param {{ shown: Array<object>, all: Array<object> }} [frames] - Frames the model was shown and every
+ *   extracted frame (see measureTiming). Without them max delays are checked on the measured delay.
+ * @returns {{ passed: boolean, steps: Array<object>, firstFailedStep: { step: number, state: string, reason: string, timestampSeconds: number | null, detail: string } | null }}
+ *   passed: no step failed or is uncertain.
+ *   steps: one entry per flow state with its observation, delaySeconds (after the previous state),
+ *   minPossibleDelaySeconds / maxPossibleDelaySeconds (with frames) and status ('ok' | 'uncertain' |
+ *   'failed' | 'not-checked' after the first failure).
+ */
+function checkFlow(flow, observations, frames = null) {
+  const byStep = new Map(observations.map((o) => [o.step, o]));
+  const steps = [];
+  let firstFailedStep = null;
+  let previous = null;
+
+  for (const expected of flow) {
+    const obs = byStep.get(expected.step);
+    const entry = {
+      step: expected.step,
+      state: expected.state,
+      maxDelaySeconds: expected.maxDelaySeconds,
+      // A hallucinated observation (time or frame outside the recording) does not count.
+      observed: Boolean(obs && obs.observed && obs.timestampSeconds != null && !obs.hallucinated),
+      timestampSeconds: obs ? obs.timestampSeconds : null,
+      ...(obs && obs.frameIndex != null ? { frameIndex: obs.frameIndex } : {}),
+      description: obs ? obs.description : '',
+      ...(obs && obs.flags ? { flags: obs.flags } : {}),
+      delaySeconds: null,
+      minPossibleDelaySeconds: null,
+      maxPossibleDelaySeconds: null,
+      status: 'not-checked',
+    };
+    steps.push(entry);
+    if (firstFailedStep) continue;
+
+    let failure = null;
+    let uncertain = false;
+    if (!entry.observed) {
+      failure = {
+        reason: 'not-observed',
+        timestampSeconds: previous ? previous.timestampSeconds : null,
+        detail: previous ? `not observed after step ${previous.step} (t=${previous.timestampSeconds}s)` : 'not observed',
+      };
+    } else if (previous) {
+      entry.delaySeconds = round(entry.timestampSeconds - previous.timestampSeconds);
+      const duration = frames && entry.delaySeconds >= 0 ? possibleDuration(previous, entry, frames) : null;
+      if (duration) {
+        entry.minPossibleDelaySeconds = duration.minPossibleSeconds;
+        entry.maxPossibleDelaySeconds = duration.maxPossibleSeconds;
+      }
+      const max = expected.maxDelaySeconds;
+      if (entry.delaySeconds < 0) {
+        failure = {
+          reason: 'out-of-order',
+          timestampSeconds: entry.timestampSeconds,
+          detail: `observed at t=${entry.timestampSeconds}s, before step ${previous.step} (t=${previous.timestampSeconds}s)`,
+        };
+      } else if (max != null && duration) {
+        const range = `${duration.minPossibleSeconds}s–${duration.maxPossibleSeconds ?? '?'}s`;
+        if (duration.minPossibleSeconds > max) {
+          failure = {
+            reason: 'too-slow',
+            timestampSeconds: round(previous.timestampSeconds + max),
+            detail: `observed ${entry.delaySeconds}s (possible ${range}) after step ${previous.step} (max ${max}s)`,
+          };
+        } else if (duration.maxPossibleSeconds == null || duration.maxPossibleSeconds > max) {
+          uncertain = true;
+        }
+      } else if (max != null && entry.delaySeconds > max) {
+        failure = {
+          reason: 'too-slow',
+          timestampSeconds: round(previous.timestampSeconds + max),
+          detail: `observed ${entry.delaySeconds}s after step ${previous.step} (max ${max}s)`,
+        };
+      }
+    }
+
+    if (failure) {
+      entry.status = 'failed';
+      firstFailedStep = { step: expected.step, state: expected.state, ...failure };
+    } else {
+      entry.status = uncertain ? 'uncertain' : 'ok';
+      previous = entry;
+    }
+  }
+
+  const passed = !firstFailedStep && steps.every((s) => s.status === 'ok');
+  return { passed, steps, firstFailedStep };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * One-line description of a failed flow step, e.g. 'step 2 "The chat is open" too-slow at t=7s: …'.
+ * @param {{ step: number, state: string, reason: string, timestampSeconds: number | null, detail: string }} failed
+ * @returns {string}
+ */
+function formatFlowFailure(failed) {
+  const at = failed.timestampSeconds != null ? ` at t=${failed.timestampSeconds}s` : '';
+  return `step ${failed.step} "${failed.state}" ${failed.reason}${at}: ${failed.detail}`;
+}
+
+module.exports = {
+  checkFlow,
+  formatFlowFailure,
+};
@@ -0,0 +1,56 @@
+/**
+ * Which frames go into a request: sampling and time-window filtering shared by the pipelines
+ * (claudeAgent.js) and by evaluation validation, which checks evidence against the frames the
+ * model was actually shown.
+ */
+
+const { isInWindow } = require('./assertions');
+
+/** Max frames to send in one timeline request to avoid token/API limits. */
+const MAX_FRAMES_PER_TIMELINE_REQUEST = 20;
+
+/**
+ * Sample frames evenly to stay under maxFrames.
+ * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} frames
+ * @param {number} maxFrames
+ * @returns {typeof frames}
+ */
+function sampleFramesEvenly(frames, maxFrames) {
+  if (frames.length <= maxFrames) return frames;
+  const step = (frames.length - 1) / (maxFrames - 1);
+  const indices = [];
+  for (let i = 0; i < maxFrames; i++) {
+    const idx = Math.round(i * step);
+    indices.push(Math.min(idx, frames.length - 1));
+  }
+  return indices.map((i) => frames[i]);
+}
+
+/**
+ * Frames inside a time window (all frames when window is null).
+ */
+function framesInWindow(frames, window) {
+  return window ? frames.filter((f) => isInWindow(window, f.timestampSeconds)) : frames;
+}
+
+/**
+ * Frames the model sees for an assertion with this window: single and batch send the window's
+ * frames sampled down to MAX_FRAMES_PER_TIMELINE_REQUEST; two-pass describes all of them.
+ * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} frames
+ * @param {{ startSeconds: number, endSeconds: number | null } | null} window
+ * @param {string} strategy
+ * @returns {typeof frames}
+ */
+function getFramesShown(frames, window, strategy) {
+  const inWindow = framesInWindow(frames, window);
+  return strategy === 'single' || strategy === 'batch'
+    ? sampleFramesEvenly(inWindow, MAX_FRAMES_PER_TIMELINE_REQUEST)
+    : inWindow;
+}
+
+module.exports = {
+  MAX_FRAMES_PER_TIMELINE_REQUEST,
+  sampleFramesEvenly,
+  framesInWindow,
+  getFramesShown,
+};
@@ -0,0 +1,337 @@
+/**
+ * Self-contained HTML report for designers: verdict badges per step and assertion, explanations,
+ * evidence frames embedded as thumbnails, and the frames with the pass-1 timeline as a scrubbable strip.
+ * Images are inlined as data URIs so the file can be shared on its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createThumbnail, readFileAsBase64 } = require('./videoProcessor');
+const { sampleFramesEvenly } = require('./frameSelection');
+
+/** Width of embedded frame thumbnails in pixels. */
+const THUMBNAIL_WIDTH = 320;
+
+/** Max frames in the strip besides the evidence frames, which are always embedded. */
+const MAX_STRIP_FRAMES = 60;
+
+const VERDICT_COLORS = {
+  pass: '#1a7f37',
+  fail: '#cf222e',
+  uncertain: '#9a6700',
+  missing: '#6e7781',
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format seconds as m:ss (or m:ss.s for fractional timestamps).
+ */
+function formatTimestamp(seconds) {
+  if (typeof seconds !== 'number') return '?';
+  const m = Math.floor(seconds / 60);
+  const s = seconds - m * 60;
+  const text = Number.isInteger(s) ? String(s) : s.toFixed(1);
+  return `${m}:${text.padStart(Number.isInteger(s) ? 2 : 4, '0')}`;
+}
+
+/**
+ * Frame shown for an evidence entry: its frameIndex if the frame is in the report, otherwise the
+ * frame closest to its timestamp.
+ * @param {{ timestampSeconds: number | null, frameIndex?: number }} entry
+ * @param {Array<{ frameIndex: number, timestampSeconds: number }>} frames
+ * @returns {object | null}
+ */
+function findFrame(entry, frames) {
+  if (!entry || frames.length === 0) return null;
+  if (entry.frameIndex != null) {
+    const exact = frames.find((f) => f.frameIndex === entry.frameIndex);
+    if (exact) return exact;
+  }
+  if (typeof entry.timestampSeconds !== 'number') return null;
+  return frames.reduce((best, f) => (
+    Math.abs(f.timestampSeconds - entry.timestampSeconds) < Math.abs(best.timestampSeconds - entry.timestampSeconds) ? f : best
+  ));
+}
+
+/**
+ * Entries of an assertion that are shown with a frame (see renderAssertion and renderTypeFields).
+ */
+function getEvidenceEntries(a) {
+  return [
+    ...(a.evidence || []),
+    ...(a.keyFrame ? [a.keyFrame] : []),
+    ...(a.sequence || []),
+    ...['from', 'to'].filter((key) => a.events?.[key]?.observed).map((key) => a.events[key]),
+  ];
+}
+
+/**
+ * Frames worth a thumbnail: every frame evidence points at, plus up to MAX_STRIP_FRAMES spread
+ * over the recording for the strip. Long uniform recordings have hundreds of frames.
+ * @param {object} output
+ * @param {Array<{ frameIndex: number, timestampSeconds: number }>} frames
+ * @returns {typeof frames} In time order.
+ */
+function selectReportFrames(output, frames) {
+  const picked = new Set(sampleFramesEvenly(frames, MAX_STRIP_FRAMES));
+  for (const step of output.testSteps) {
+    for (const a of step.assertions) {
+      for (const entry of getEvidenceEntries(a)) {
+        const frame = findFrame(entry, frames);
+        if (frame) picked.add(frame);
+      }
+    }
+  }
+  return frames.filter((f) => picked.has(f));
+}
+
+function badge(verdict) {
+  const color = VERDICT_COLORS[verdict] || VERDICT_COLORS.missing;
+  return `<span class="badge" style="background:${color}">${escapeHtml(verdict)}</span>`;
+}
+
+function renderEvidence(entry, frames) {
+  const frame = findFrame(entry, frames);
+  const thumb = frame
+    ? `<img src="${frame.src}" alt="frame at ${formatTimestamp(frame.timestampSeconds)}" data-frame="${frame.frameIndex}" class="thumb jump">`
+    : '<div class="thumb none">no frame</div>';
+  const flags = entry.flags?.length ? ` <span class="flags">${escapeHtml(entry.flags.join(', '))}</span>` : '';
+  return `<figure class="evidence${entry.hallucinated ? ' hallucinated' : ''}">${thumb}`
+    + `<figcaption><b>${formatTimestamp(entry.timestampSeconds)}</b> ${escapeHtml(entry.description)}${flags}</figcaption></figure>`;
+}
+
+function renderTypeFields(a, frames) {
+  const parts = [];
+  if (a.keyFrame) {
+    parts.push(`<h4>Key frame</h4><div class="evidence-list">${renderEvidence(a.keyFrame, frames)}</div>`);
+  }
+  if (a.score != null || a.rubric?.length) {
+    const rows = (a.rubric || [])
+      .map((r) => `<tr><td>${escapeHtml(r.criterion)}</td><td>${escapeHtml(r.score ?? '')}</td><td>${escapeHtml(r.note)}</td></tr>`)
+      .join('');
+    parts.push(`<h4>Rubric score: ${escapeHtml(a.score ?? 'n/a')} / 5</h4>`
+      + (rows ? `<table class="rubric"><tr><th>Criterion</th><th>Score</th><th>Note</th></tr>${rows}</table>` : '')
+      + (a.rationale ? `<p>${escapeHtml(a.rationale)}</p>` : ''));
+  }
+  if (a.sequence?.length) {
+    parts.push(`<h4>Sequence</h4><div class="evidence-list">${a.sequence.map((e) => renderEvidence(e, frames)).join('')}</div>`);
+  }
+  if (a.flowSteps?.length) {
+    const rows = a.flowSteps
+      .map((f) => `<tr class="flow-${f.status}"><td>${f.step}</td><td>${escapeHtml(f.state)}</td><td>${f.observed ? formatTimestamp(f.timestampSeconds) : 'not observed'}</td>`
+        + `<td>${f.delaySeconds != null ? `${f.delaySeconds}s` : ''}`
+        + `${f.minPossibleDelaySeconds != null ? ` (possible ${f.minPossibleDelaySeconds}s–${f.maxPossibleDelaySeconds ?? '?'}s)` : ''}`
+        + `${f.maxDelaySeconds != null ? ` (max ${f.maxDelaySeconds}s)` : ''}</td><td>${escapeHtml(f.status)}</td></tr>`)
+      .join('');
+    const failed = a.firstFailedStep
+      ? `<p>First failed step: ${a.firstFailedStep.step} (${escapeHtml(a.firstFailedStep.reason)}) — ${escapeHtml(a.firstFailedStep.detail)}</p>`
+      : '';
+    parts.push(`<h4>Flow</h4><table class="rubric"><tr><th>#</th><th>State</th><th>Seen</th><th>Delay</th><th>Status</th></tr>${rows}</table>${failed}`);
+  }
+  if (a.measurement) {
+    const m = a.measurement;
+    const bounds = [m.minSeconds != null ? `≥ ${m.minSeconds}s` : null, m.maxSeconds != null ? `≤ ${m.maxSeconds}s` : null].filter(Boolean).join(', ');
+    const measured = m.measuredSeconds != null
+      ? `${m.measuredSeconds}s (possible ${m.minPossibleSeconds}s–${m.maxPossibleSeconds ?? '?'}s)`
+      : 'not measured';
+    const events = ['from', 'to']
+      .filter((key) => a.events?.[key]?.observed)
+      .map((key) => renderEvidence({ ...a.events[key], description: `${key}: ${a.events[key].description}` }, frames))
+      .join('');
+    parts.push(`<h4>Timing: ${escapeHtml(measured)}, required ${escapeHtml(bounds)}</h4>`
+      + (events ? `<div class="evidence-list">${events}</div>` : '')
+      + `<p>${escapeHtml(m.reason)}</p>`);
+  }
+  return parts.join('');
+}
+
+function renderAssertion(a, frames) {
+  const evidence = (a.evidence || []).map((e) => renderEvidence(e, frames)).join('');
+  const expected = a.expectedVerdict
+    ? ` <span class="meta">expected ${escapeHtml(a.expectedVerdict)} ${a.correct ? '✓' : '✗'}</span>`
+    : '';
+  const consensus = a.consensus
+    ? `<p class="meta">Consensus of ${a.consensus.runs} runs: ${escapeHtml(a.consensus.verdicts.join(', '))} (agreement ${a.consensus.agreement})</p>`
+    : '';
+  return `<article class="assertion">
+<header>${badge(a.verdict)} <span class="meta">${escapeHtml(a.type || 'concrete')} · confidence ${escapeHtml(a.confidence)}</span>${expected}</header>
+<p class="text"><span class="id">${escapeHtml(a.id)}</span> ${escapeHtml(a.text)}</p>
+${a.explanation ? `<p>${escapeHtml(a.explanation)}</p>` : ''}
+${a.error ? `<p class="error">${escapeHtml(a.error)}</p>` : ''}
+${consensus}
+${evidence ? `<h4>Evidence</h4><div class="evidence-list">${evidence}</div>` : ''}
+${renderTypeFields(a, frames)}
+</article>`;
+}
+
+function renderStep(step, frames) {
+  const counts = {};
+  for (const a of step.assertions) counts[a.verdict] = (counts[a.verdict] || 0) + 1;
+  const verdict = counts.fail ? 'fail' : counts.missing ? 'missing' : counts.uncertain ? 'uncertain' : 'pass';
+  return `<section class="step">
+<h2>${badge(verdict)} ${escapeHtml(step.id)}${step.description ? ` — ${escapeHtml(step.description)}` : ''}</h2>
+${step.assertions.map((a) => renderAssertion(a, frames)).join('\n')}
+</section>`;
+}
+
+/**
+ * Description of the timeline entry active at time t (the last entry at or before t).
+ */
+function timelineAt(timeline, t) {
+  let current = null;
+  for (const entry of timeline) {
+    if (entry.timestampSeconds <= t) current = entry;
+  }
+  return current ? current.description : '';
+}
+
+function renderStrip(timeline, frames) {
+  if (frames.length === 0) return '';
+  const thumbs = frames.map((f, i) => `<img src="${f.src}" data-index="${i}" data-frame-index="${f.frameIndex}" data-t="${escapeHtml(formatTimestamp(f.timestampSeconds))}"`
+    + ` data-desc="${escapeHtml(timelineAt(timeline, f.timestampSeconds))}" alt="frame at ${formatTimestamp(f.timestampSeconds)}">`).join('');
+  const entries = timeline.length
+    ? `<ol class="timeline">${timeline.map((e) => `<li><b>${formatTimestamp(e.timestampSeconds)}</b> ${escapeHtml(e.description)}</li>`).join('')}</ol>`
+    : '';
+  return `<section class="scrubber">
+<h2>Recording</h2>
+<div class="viewer"><img id="viewer-frame" alt=""><div><p id="viewer-time"></p><p id="viewer-desc"></p></div></div>
+<input id="scrub" type="range" min="0" max="${frames.length - 1}" value="0">
+<div class="strip" id="strip">${thumbs}</div>
+${entries}
+</section>`;
+}
+
+function renderSummary(output) {
+  const all = output.testSteps.flatMap((s) => s.assertions);
+  const counts = {};
+  for (const a of all) counts[a.verdict] = (counts[a.verdict] || 0) + 1;
+  const settings = output.run?.settings || {};
+  const meta = [
+    settings.strategy && `strategy ${settings.strategy}`,
+    settings.persona && `persona ${settings.persona}`,
+    settings.model && `model ${settings.model}`,
+    output.videoMetadata?.frameSampling && `${output.videoMetadata.frameSampling.frameCount} frames (${output.videoMetadata.frameSampling.mode}, ${output.videoMetadata.frameSampling.fps} fps)`,
+    output.run?.startedAt && new Date(output.run.startedAt).toLocaleString(),
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+  const badges = Object.entries(counts).map(([v, n]) => `${badge(v)} ${n}`).join(' ');
+  const scoring = output.scoring
+    ? `<p>Accuracy against expected verdicts: ${output.scoring.correctCount}/${output.scoring.labeledCount} (${output.scoring.accuracy})</p>`
+    : '';
+  return `<header class="summary">
+<h1>UX validation: ${escapeHtml(path.basename(output.videoMetadata?.path || ''))}</h1>
+<p class="meta">${meta}</p>
+<p>${badges}</p>
+${scoring}
+</header>`;
+}
+
+const STYLE = `
+body{font:14px/1.45 -apple-system,BlinkMacSystemFont,"Segoe UI",Helvetica,Arial,sans-serif;margin:0 auto;max-width:1100px;padding:24px;color:#1f2328}
+h1{font-size:22px;margin:0 0 4px}h2{font-size:17px;margin:28px 0 10px}h4{margin:12px 0 6px;font-size:13px}
+.badge{display:inline-block;color:#fff;border-radius:10px;padding:1px 9px;font-size:12px;font-weight:600;text-transform:uppercase}
+.meta{color:#656d76;font-size:12px}.id{color:#656d76;font-family:monospace}.error{color:#cf222e}
+.assertion{border:1px solid #d0d7de;border-radius:6px;padding:12px 16px;margin:10px 0}.text{font-weight:600}
+.evidence-list{display:flex;flex-wrap:wrap;gap:10px}.evidence{margin:0;width:180px}.evidence figcaption{font-size:12px}
+.thumb{width:180px;border:1px solid #d0d7de;border-radius:4px;cursor:pointer}.thumb.none{height:60px;display:flex;align-items:center;justify-content:center;color:#656d76;cursor:default}
+.hallucinated .thumb{border:2px dashed #cf222e}.flags{color:#cf222e}
+.rubric{border-collapse:collapse;font-size:12px}.flow-failed td{background:#ffebe9}.flow-uncertain td{background:#fff8c5}.flow-not-checked td{color:#8c959f}.rubric td,.rubric th{border:1px solid #d0d7de;padding:3px 8px;text-align:left}
+.viewer{display:flex;gap:16px;align-items:flex-start}.viewer img{max-width:320px;max-height:480px;border:1px solid #d0d7de;border-radius:4px}
+#scrub{width:100%;margin:10px 0}.strip{display:flex;gap:4px;overflow-x:auto;padding-bottom:6px}
+.strip img{height:90px;border:2px solid transparent;border-radius:3px;cursor:pointer}.strip img.active{border-color:#0969da}
+.timeline{font-size:13px;color:#424a53}
+`;
+
+const SCRIPT = `
+(function(){
+  var strip=document.getElementById('strip'); if(!strip) return;
+  var imgs=strip.querySelectorAll('img'), scrub=document.getElementById('scrub');
+  var viewer=document.getElementById('viewer-frame'), time=document.getElementById('viewer-time'), desc=document.getElementById('viewer-desc');
+  function show(i){ var img=imgs[i]; if(!img) return; viewer.src=img.src; time.textContent=img.dataset.t; desc.textContent=img.dataset.desc;
+    scrub.value=i; for(var j=0;j<imgs.length;j++) imgs[j].classList.toggle('active', j===i); img.scrollIntoView({block:'nearest',inline:'nearest'}); }
+  scrub.addEventListener('input', function(){ show(Number(scrub.value)); });
+  strip.addEventListener('click', function(e){ if(e.target.dataset.index) show(Number(e.target.dataset.index)); });
+  document.addEventListener('click', function(e){ var f=e.target.dataset && e.target.dataset.frame; if(f==null) return;
+    for(var j=0;j<imgs.length;j++){ if(imgs[j].dataset.frameIndex===f){ show(j); document.querySelector('.scrubber').scrollIntoView(); return; } } });
+  show(0);
+})();
+`;
+
+/**
+ * Build the report HTML.
+ * @param {object} output - Output document (see output.js).
+ * @param {Array<{ frameIndex: number, timestampSeconds: number, src: string }>} frames - Frames to embed, with image data URIs.
+ * @returns {string}
+ */
+function buildHtmlReport(output, frames) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>UX validation report — ${escapeHtml(path.basename(output.videoMetadata?.path || ''))}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${renderSummary(output)}
+${renderStrip(output.timeline || [], frames)}
+${output.testSteps.map((s) => renderStep(s, frames)).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Create thumbnails for the evidence frames and a strip of the run's frames (see
+ * selectReportFrames) and write the HTML report. A frame whose thumbnail cannot be created is
+ * embedded at full size.
+ * @param {object} opts
+ * @param {object} opts.output - Output document.
+ * @param {Array<{ framePath: string, frameIndex: number, timestampSeconds: number }>} opts.frames - Frames used by the run (must still be on disk).
+ * @param {string} opts.outPath - HTML file to write.
+ * @param {string} opts.workDir - Directory for temporary thumbnails (e.g. the frames dir).
+ * @returns {Promise<string>} outPath
+ */
+async function writeHtmlReport(opts) {
+  const { output, frames, outPath, workDir } = opts;
+  const thumbDir = path.join(workDir, 'thumbnails');
+  fs.mkdirSync(thumbDir, { recursive: true });
+
+  const embedded = [];
+  try {
+    for (const frame of selectReportFrames(output, frames)) {
+      const thumbPath = path.join(thumbDir, `thumb_${frame.frameIndex}.jpg`);
+      let src;
+      try {
+        await createThumbnail(frame.framePath, thumbPath, THUMBNAIL_WIDTH);
+        src = `data:image/jpeg;base64,${readFileAsBase64(thumbPath)}`;
+      } catch (e) {
+        src = `data:image/png;base64,${readFileAsBase64(frame.framePath)}`;
+      }
+      embedded.push({ frameIndex: frame.frameIndex, timestampSeconds: frame.timestampSeconds, src });
+    }
+  } finally {
+    // Also removes thumbnails that ffmpeg left half-written when it failed.
+    fs.rmSync(thumbDir, { recursive: true, force: true });
+  }
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, buildHtmlReport(output, embedded), 'utf8');
+  return outPath;
+}
+
+module.exports = {
+  THUMBNAIL_WIDTH,
+  MAX_STRIP_FRAMES,
+  buildHtmlReport,
+  writeHtmlReport,
+  formatTimestamp,
+};
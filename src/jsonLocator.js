@@ -0,0 +1,110 @@
+/**
+ * Map JSON pointers to line/column positions in a JSON source, so validation errors can point
+ * at the offending value in the file. Assumes the source is valid JSON (JSON.parse it first).
+ */
+
+/**
+ * Convert a character offset to a 1-based line and column.
+ * @param {string} source
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+function offsetToPosition(source, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < source.length; i++) {
+    if (source[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a map from JSON pointer ('' for the root, '/0/text', ...) to the value's position.
+ * @param {string} source - Valid JSON text.
+ * @returns {Map<string, { line: number, column: number }>}
+ */
+function locateJsonPointers(source) {
+  const offsets = new Map();
+  let i = 0;
+
+  function skipWhitespace() {
+    while (i < source.length && /\s/.test(source[i])) i++;
+  }
+
+  function readString() {
+    const start = i;
+    i++; // opening quote
+    while (i < source.length && source[i] !== '"') {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    i++; // closing quote
+    return JSON.parse(source.slice(start, i));
+  }
+
+  function readValue(pointer) {
+    skipWhitespace();
+    offsets.set(pointer, i);
+    const ch = source[i];
+    if (ch === '{') {
+      i++;
+      skipWhitespace();
+      while (source[i] !== '}') {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        i++; // colon
+        readValue(`${pointer}/${escapePointerToken(key)}`);
+        skipWhitespace();
+        if (source[i] === ',') i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (ch === '[') {
+      i++;
+      skipWhitespace();
+      let index = 0;
+      while (source[i] !== ']') {
+        readValue(`${pointer}/${index++}`);
+        skipWhitespace();
+        if (source[i] === ',') i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (ch === '"') {
+      readString();
+    } else {
+      while (i < source.length && !/[\s,\]}]/.test(source[i])) i++;
+    }
+  }
+
+  readValue('');
+  const positions = new Map();
+  for (const [pointer, offset] of offsets) {
+    positions.set(pointer, offsetToPosition(source, offset));
+  }
+  return positions;
+}
+
+/**
+ * Position of a JSON.parse SyntaxError, if the message includes one ("... at position N").
+ * @param {string} source
+ * @param {Error} err
+ * @returns {{ line: number, column: number } | null}
+ */
+function getSyntaxErrorPosition(source, err) {
+  const match = /position (\d+)/.exec(err.message);
+  return match ? offsetToPosition(source, Number(match[1])) : null;
+}
+
+module.exports = {
+  locateJsonPointers,
+  getSyntaxErrorPosition,
+  offsetToPosition,
+};
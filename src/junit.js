@@ -0,0 +1,129 @@
+/**
+ * CI integration: JUnit XML for an output document and the exit-code policy.
+ *
+ * JUnit mapping: each test step is a <testsuite>, each assertion a <testcase>.
+ * fail → <failure>, uncertain → <skipped>, missing (not evaluated) → <error>; the explanation
+ * (or error) is the message. Confidence and evidence go to <system-out>.
+ */
+
+const path = require('path');
+const { formatFlowFailure } = require('./flowEvaluator');
+
+/**
+ * Verdict levels for --fail-on: which verdicts make the run fail. missing (not evaluated, e.g. the
+ * call failed) fails at every level, so an outage or a bad API key cannot pass a build.
+ */
+const FAIL_ON_VERDICTS = {
+  fail: ['fail', 'missing'],
+  uncertain: ['fail', 'uncertain', 'missing'],
+};
+
+/** Process exit code when the verdict policy fails (1 is used for errors). */
+const POLICY_EXIT_CODE = 2;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Characters not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderTestCase(a, stepId) {
+  const name = `${a.id}: ${a.text}`;
+  const out = [
+    `verdict: ${a.verdict}`,
+    `confidence: ${a.confidence}`,
+    ...(a.evidence || []).map((e) => `evidence ${e.timestampSeconds}s: ${e.description}`),
+    ...(a.firstFailedStep ? [`first failed flow step: ${formatFlowFailure(a.firstFailedStep)}`] : []),
+    ...(a.measurement ? [`timing: ${a.measurement.reason}`] : []),
+  ].join('\n');
+  let result = '';
+  if (a.verdict === 'fail') {
+    result = `\n      <failure message="${escapeXml(a.explanation)}" type="fail">${escapeXml(a.explanation)}</failure>`;
+  } else if (a.verdict === 'uncertain') {
+    result = `\n      <skipped message="${escapeXml(a.explanation || 'uncertain')}"/>`;
+  } else if (a.verdict === 'missing') {
+    result = `\n      <error message="${escapeXml(a.error)}" type="missing">${escapeXml(a.error)}</error>`;
+  }
+  return `    <testcase name="${escapeXml(name)}" classname="${escapeXml(stepId)}" time="0">${result}
+      <system-out>${escapeXml(out)}</system-out>
+    </testcase>`;
+}
+
+/**
+ * Build JUnit XML for an output document.
+ * @param {object} output - Output document (see output.js).
+ * @returns {string}
+ */
+function buildJunitXml(output) {
+  const settings = output.run?.settings || {};
+  const properties = ['strategy', 'persona', 'model', 'fps']
+    .filter((key) => settings[key] != null)
+    .map((key) => `      <property name="${key}" value="${escapeXml(settings[key])}"/>`)
+    .join('\n');
+  const timestamp = output.run?.startedAt ? output.run.startedAt.replace(/\.\d+Z$/, '') : '';
+
+  let totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+  const suites = output.testSteps.map((step) => {
+    const counts = {
+      tests: step.assertions.length,
+      failures: step.assertions.filter((a) => a.verdict === 'fail').length,
+      errors: step.assertions.filter((a) => a.verdict === 'missing').length,
+      skipped: step.assertions.filter((a) => a.verdict === 'uncertain').length,
+    };
+    totals = Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, v + counts[k]]));
+    const name = step.description ? `${step.id}: ${step.description}` : step.id;
+    return `  <testsuite name="${escapeXml(name)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="0"${timestamp ? ` timestamp="${timestamp}"` : ''}>
+${properties ? `    <properties>\n${properties}\n    </properties>\n` : ''}${step.assertions.map((a) => renderTestCase(a, step.id)).join('\n')}
+  </testsuite>`;
+  });
+
+  const seconds = output.run?.durationMs != null ? (output.run.durationMs / 1000).toFixed(3) : '0';
+  const name = path.basename(output.videoMetadata?.path || 'ux-validation');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(name)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}" time="${seconds}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * Check an output against the CI policy.
+ * @param {object} output - Output document.
+ * @param {{ failOn?: 'fail' | 'uncertain', minConfidence?: number }} policy
+ *   failOn: verdicts that fail the run (fail also fails on missing; uncertain on fail and missing).
+ *   minConfidence: any assertion with a lower confidence fails the run.
+ *   Model calls that failed (run.errors) always fail the run; they are listed with the call label
+ *   (or assertion id) as id and no verdict.
+ * @returns {{ passed: boolean, violations: Array<{ id: string, verdict: string | null, confidence: number | null, reason: string }> }}
+ */
+function checkPolicy(output, policy = {}) {
+  const failingVerdicts = policy.failOn ? FAIL_ON_VERDICTS[policy.failOn] : [];
+  const violations = [];
+  for (const step of output.testSteps) {
+    for (const a of step.assertions) {
+      let reason = null;
+      if (failingVerdicts.includes(a.verdict)) {
+        reason = `verdict ${a.verdict}`;
+      } else if (policy.minConfidence != null && a.confidence < policy.minConfidence) {
+        reason = `confidence ${a.confidence} < ${policy.minConfidence}`;
+      }
+      if (reason) violations.push({ id: a.id, verdict: a.verdict, confidence: a.confidence, reason });
+    }
+  }
+  for (const e of (output.run && output.run.errors) || []) {
+    violations.push({ id: e.assertionId || e.label, verdict: null, confidence: null, reason: `${e.label} call failed: ${e.message}` });
+  }
+  return { passed: violations.length === 0, violations };
+}
+
+module.exports = {
+  FAIL_ON_VERDICTS,
+  POLICY_EXIT_CODE,
+  buildJunitXml,
+  checkPolicy,
+};
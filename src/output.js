@@ -0,0 +1,177 @@
+/**
+ * Assemble the output document: run metadata, video metadata, timeline and per-step results.
+ */
+
+const crypto = require('crypto');
+const { groupByTestStep } = require('./assertions');
+const { PROMPT_VERSIONS } = require('./prompts');
+const { validateEvaluations } = require('./evaluationValidator');
+const { combineRuns } = require('./consensus');
+const { scoreResults } = require('./scoring');
+
+/** Extra output fields per assertion type (filled by the evaluation validator). */
+const TYPE_FIELDS = {
+  concrete: ['keyFrame'],
+  subjective: ['score', 'rubric', 'rationale'],
+  behavioral: ['sequence'],
+  flow: ['flowSteps', 'firstFailedStep'],
+  timing: ['events', 'measurement'],
+};
+
+/**
+ * Group evaluations into test steps in assertion order.
+ * @param {Array<{ id: string, text: string, testStepId?: string, testStepDescription?: string }>} assertions
+ * @param {Map<string, object>} evaluations - Validated evaluations keyed by assertion id (see evaluationValidator.js).
+ * @param {Array<{ testStepId: string }>} [segments] - Located step segments (see segmentation.js).
+ * @returns {Array<{ id: string, description: string, segment?: object, assertions: Array<object> }>}
+ */
+function buildTestSteps(assertions, evaluations, segments = []) {
+  const steps = groupByTestStep(assertions);
+  return steps.map((step) => {
+    const stepAssertions = step.assertions.map((a) => {
+      const ev = evaluations.get(a.id);
+      const typeFields = {};
+      if (ev.validation.status !== 'missing') {
+        for (const field of TYPE_FIELDS[a.type] || TYPE_FIELDS.concrete) typeFields[field] = ev[field];
+      }
+      return {
+        id: a.id,
+        text: a.text,
+        type: a.type,
+        ...(a.window ? { window: a.window } : {}),
+        verdict: ev.verdict,
+        confidence: ev.confidence,
+        evidence: ev.evidence,
+        explanation: ev.explanation,
+        ...typeFields,
+        validation: ev.validation,
+        ...(ev.consensus ? { consensus: ev.consensus } : {}),
+        ...(a.expectedVerdict ? { expectedVerdict: a.expectedVerdict, correct: ev.verdict === a.expectedVerdict } : {}),
+        ...(ev.error ? { error: ev.error } : {}),
+      };
+    });
+    const segment = segments.find((s) => s.testStepId === step.id);
+    return {
+      id: step.id,
+      description: step.description,
+      ...(segment ? { segment: { startSeconds: segment.startSeconds, endSeconds: segment.endSeconds, confidence: segment.confidence, reason: segment.reason } } : {}),
+      assertions: stepAssertions,
+    };
+  });
+}
+
+/**
+ * Sum token usage over all model calls of a run. Calls served from the cache are counted
+ * separately and their tokens are not included (they were not spent by this run).
+ * @param {Array<{ usage: { inputTokens: number, outputTokens: number }, cached?: boolean }>} calls
+ * @returns {{ callCount: number, cachedCallCount: number, inputTokens: number, outputTokens: number }}
+ */
+function summarizeUsage(calls) {
+  const totals = { callCount: calls.length, cachedCallCount: 0, inputTokens: 0, outputTokens: 0 };
+  for (const call of calls) {
+    if (call.cached) {
+      totals.cachedCallCount += 1;
+      continue;
+    }
+    totals.inputTokens += call.usage?.inputTokens || 0;
+    totals.outputTokens += call.usage?.outputTokens || 0;
+  }
+  return totals;
+}
+
+/**
+ * Id for a run: its start time plus a random suffix, e.g. "20250101T120000Z-3f9a1c".
+ * @param {Date} startedAt
+ * @returns {string}
+ */
+function generateRunId(startedAt) {
+  const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Build the full output document. Evaluations are validated and normalized first; for a
+ * multi-run result (result.runs) every run is validated and the runs are combined by consensus.
+ * When assertions have an expectedVerdict, a `scoring` report is added (see scoring.js).
+ * @param {object} opts
+ * @param {string} opts.videoPath
+ * @param {string | null} opts.assertionsPath - null when the assertions were passed as content (library API).
+ * @param {number} opts.durationSeconds
+ * @param {number} opts.rawFrameCount
+ * @param {Array<object>} opts.frames - Frames sent to the pipeline.
+ * @param {object} opts.settings - Effective settings (from loadSettings).
+ * @param {Array<object>} opts.assertions - With time windows from segmentation applied.
+ * @param {{ timeline: Array<object>, evaluations: Map<string, object>, calls: Array<object>, errors: Array<object>, runs?: Array<object> }} opts.result - runPipeline / runRepeatedPipeline result.
+ * @param {{ segments: Array<object>, issues: string[] }} [opts.segmentation] - segmentTestSteps result, when steps were segmented.
+ * @param {{ reason: string } | null} [opts.cancelled] - Set when the run was cancelled before every assertion was evaluated.
+ * @param {Date} opts.startedAt
+ * @param {Date} opts.completedAt
+ * @param {string} [opts.runId] - Defaults to a new id (see generateRunId).
+ * @returns {object}
+ */
+function buildOutput(opts) {
+  const {
+    videoPath,
+    assertionsPath,
+    durationSeconds,
+    rawFrameCount,
+    frames,
+    settings,
+    assertions,
+    result,
+    segmentation,
+    cancelled,
+    startedAt,
+    completedAt,
+    runId = generateRunId(startedAt),
+  } = opts;
+  const calls = result.calls || [];
+  const validate = (evaluations) => validateEvaluations({ evaluations, assertions, frames, durationSeconds, strategy: settings.strategy });
+  const validated = result.runs
+    ? combineRuns(result.runs.map((r) => validate(r.evaluations)), assertions, settings.consensus)
+    : validate(result.evaluations);
+
+  const testSteps = buildTestSteps(assertions, validated.evaluations, segmentation ? segmentation.segments : []);
+  const scoring = scoreResults(testSteps.flatMap((s) => s.assertions));
+
+  return {
+    run: {
+      id: runId,
+      startedAt: startedAt.toISOString(),
+      completedAt: completedAt.toISOString(),
+      durationMs: completedAt.getTime() - startedAt.getTime(),
+      assertionsPath,
+      settings: { ...settings },
+      promptVersions: { ...PROMPT_VERSIONS },
+      usage: {
+        totals: summarizeUsage(calls),
+        calls,
+      },
+      errors: result.errors || [],
+      validation: validated.report,
+      ...(validated.summary ? { consensus: validated.summary } : {}),
+      ...(segmentation ? { segmentation: { locatedStepIds: segmentation.segments.map((s) => s.testStepId), issues: segmentation.issues } } : {}),
+      ...(cancelled ? { cancelled } : {}),
+    },
+    videoMetadata: {
+      path: videoPath,
+      durationSeconds,
+      frameSampling: {
+        mode: settings.sampling,
+        fps: settings.fps,
+        frameCount: frames.length,
+        rawFrameCount,
+      },
+    },
+    timeline: result.timeline || [],
+    testSteps,
+    ...(scoring ? { scoring } : {}),
+  };
+}
+
+module.exports = {
+  buildOutput,
+  buildTestSteps,
+  generateRunId,
+  summarizeUsage,
+};
@@ -0,0 +1,116 @@
+/**
+ * Live progress for the CLI, fed with validate() progress events.
+ * On a terminal: one status line on stderr, rewritten as events arrive, e.g.
+ *   run 2/3 · call 4/7 (single step1-assertion2) · assertions 3/5: 2 pass, 1 fail
+ * Console output printed while it is shown goes above the line (see attachConsole).
+ * Otherwise (CI logs, pipes): one plain line per completed assertion.
+ */
+
+const VERDICT_ORDER = ['pass', 'fail', 'uncertain', 'missing'];
+
+/**
+ * @param {NodeJS.WriteStream} [stream] - Default process.stderr.
+ * @returns {{ update: (event: object) => void, attachConsole: () => void, stop: () => void }}
+ */
+function createProgressDisplay(stream = process.stderr) {
+  const live = Boolean(stream.isTTY);
+  const state = { extraction: null, call: null, run: null, assertions: null, verdicts: {} };
+  const restore = [];
+  let shown = false;
+
+  function render() {
+    const parts = [];
+    if (state.run) parts.push(`run ${state.run.run}/${state.run.runs}`);
+    if (state.extraction) {
+      const { percent, framesWritten } = state.extraction;
+      parts.push(percent != null ? `extracting frames ${percent}%` : `extracting frames (${framesWritten})`);
+    }
+    if (state.call) {
+      const what = [state.call.label, state.call.assertionId].filter(Boolean).join(' ');
+      parts.push(`call ${state.call.call}/${state.call.totalCalls} (${what})`);
+    }
+    if (state.assertions) {
+      const counts = VERDICT_ORDER.filter((v) => state.verdicts[v]).map((v) => `${state.verdicts[v]} ${v}`);
+      parts.push(`assertions ${state.assertions.completed}/${state.assertions.total}${counts.length ? ': ' + counts.join(', ') : ''}`);
+    }
+    return parts.join(' · ');
+  }
+
+  function clear() {
+    if (!shown) return;
+    stream.write('\r\x1b[K');
+    shown = false;
+  }
+
+  function draw() {
+    if (!live) return;
+    const text = render();
+    if (!text) return;
+    const width = stream.columns ? stream.columns - 1 : text.length;
+    stream.write('\r\x1b[K' + text.slice(0, width));
+    shown = true;
+  }
+
+  function update(event) {
+    switch (event.type) {
+      case 'extraction-progress':
+        state.extraction = event;
+        break;
+      case 'frames-extracted':
+        state.extraction = null;
+        break;
+      case 'run-started':
+        state.run = event;
+        state.assertions = null;
+        state.verdicts = {};
+        break;
+      case 'call-started':
+        state.call = event;
+        break;
+      case 'assertion-completed':
+        state.assertions = { completed: event.completed, total: event.totalAssertions };
+        state.verdicts[event.verdict] = (state.verdicts[event.verdict] || 0) + 1;
+        if (!live) {
+          const run = event.run ? `run ${event.run}, ` : '';
+          const confidence = event.confidence != null ? ` (${event.confidence})` : '';
+          stream.write(`[${run}${event.completed}/${event.totalAssertions}] ${event.assertionId}: ${event.verdict}${confidence}\n`);
+        }
+        break;
+      case 'completed':
+        state.call = null;
+        break;
+      default:
+        return;
+    }
+    draw();
+  }
+
+  /**
+   * Route console.log / warn / error through the display, so their output is printed above the
+   * status line instead of being glued to it.
+   */
+  function attachConsole() {
+    if (!live) return;
+    for (const method of ['log', 'warn', 'error']) {
+      const original = console[method];
+      console[method] = (...args) => {
+        clear();
+        original.apply(console, args);
+        draw();
+      };
+      restore.push(() => { console[method] = original; });
+    }
+  }
+
+  /** Remove the status line and give the console back. */
+  function stop() {
+    clear();
+    while (restore.length) restore.pop()();
+  }
+
+  return { update, attachConsole, stop };
+}
+
+module.exports = {
+  createProgressDisplay,
+};
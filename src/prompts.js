@@ -3,6 +3,108 @@
  * Persona is injected based on settings.
  */
 
+const { formatWindow } = require('./assertions');
+
+/**
+ * Version of each prompt family, recorded in the output's run metadata.
+ * Bump the matching entry whenever a prompt's wording or expected output shape changes.
+ */
+const PROMPT_VERSIONS = {
+  persona: '1',
+  timeline: '1',
+  evaluation: '3',
+  batch: '3',
+  single: '3',
+  assertionTypes: '3',
+  segmentation: '1',
+};
+
+/** Criteria subjective assertions are scored on (1-5 each). */
+const SUBJECTIVE_RUBRIC = [
+  'clarity (is it obvious what is happening and what to do next)',
+  'feedback (does the UI acknowledge the user action promptly and visibly)',
+  'efficiency (no unnecessary steps, waits or detours)',
+  'consistency (matches the rest of the app and platform conventions)',
+];
+
+/**
+ * Evaluation guidance and extra output fields per assertion type.
+ * - concrete: a checkable UI fact; must be tied to one specific frame.
+ * - subjective: a quality judgment; scored on SUBJECTIVE_RUBRIC.
+ * - behavioral: a flow over time; needs an ordered sequence of evidence.
+ * - flow: listed states in order; the model only locates each state, the order and delays are
+ *   checked in code (flowEvaluator.js).
+ * - timing: two events; the model only locates the first frame of each, the duration is measured
+ *   in code (timingEvaluator.js).
+ */
+const ASSERTION_TYPE_GUIDANCE = {
+  concrete: {
+    guidance: 'Concrete assertions state a checkable fact about the UI. Decide from what is literally visible. '
+      + 'Cite the single frame that best proves or disproves it as "keyFrame". If no frame shows the relevant UI, the verdict is uncertain.',
+    fields: '"keyFrame": { "timestampSeconds": number, "frameIndex": number (when frames are shown), "description": string }',
+  },
+  subjective: {
+    guidance: 'Subjective assertions are quality judgments. Score each rubric criterion from 1 (very poor) to 5 (excellent): '
+      + SUBJECTIVE_RUBRIC.join('; ') + '. '
+      + 'Give an overall "score" (1-5) and a short "rationale". The verdict must follow the score: pass when score >= 4, fail when score <= 2, otherwise uncertain.',
+    fields: '"score": number (1-5), "rubric": [ { "criterion": string, "score": number (1-5), "note": string } ], "rationale": string',
+  },
+  behavioral: {
+    guidance: 'Behavioral assertions describe a flow over time. List the observed steps in chronological order as "sequence" (one entry per step, with its timestamp). '
+      + 'A pass needs every step of the expected behavior observed in the right order; name the first missing or out-of-order step in the explanation when it fails.',
+    fields: '"sequence": [ { "order": number (1-based), "timestampSeconds": number, "frameIndex": number (optional), "description": string } ]',
+  },
+  flow: {
+    guidance: 'Flow assertions list numbered states that are expected in order. For every listed state, report whether it was observed and the first time it is visible after the previous state, as "flowSteps" (one entry per listed state, same numbers). '
+      + 'Report what you see even when the order or timing looks wrong; ordering and max delays are checked from your timestamps.',
+    fields: '"flowSteps": [ { "step": number (as listed), "observed": boolean, "timestampSeconds": number | null, "frameIndex": number (optional), "description": string } ]',
+  },
+  timing: {
+    guidance: 'Timing assertions name a "from" event and a "to" event. For each, report the FIRST frame in which the event is visible (for "to", the first one after "from"), with its frameIndex and timestamp, as "events". '
+      + 'Do not estimate the duration yourself; it is measured from the frame timestamps. If an event is not visible, set observed to false.',
+    fields: '"events": { "from": { "observed": boolean, "frameIndex": number (when frames are shown), "timestampSeconds": number | null, "description": string }, "to": { same shape } }',
+  },
+};
+
+function getTypeGuidance(type) {
+  return ASSERTION_TYPE_GUIDANCE[type] || ASSERTION_TYPE_GUIDANCE.concrete;
+}
+
+/**
+ * One line per assertion: id, type, text and step, plus the time window it is limited to; flow
+ * assertions are followed by their numbered states, timing assertions by their two events.
+ * @param {Array<{ id: string, text: string, type?: string, testStepId?: string, window?: object, flow?: Array<object> }>} assertions
+ * @returns {string}
+ */
+function formatAssertionList(assertions) {
+  return assertions
+    .map((a) => {
+      let line = `- [${a.id}] (${a.type || 'concrete'}) ${a.text} (testStepId: ${a.testStepId || 'unknown'})`;
+      if (a.window) line += ` (judge only ${formatWindow(a.window)} of the recording; cite evidence from that window)`;
+      if (a.flow) line += '\n' + a.flow.map((s) => `    ${s.step}. ${s.state}`).join('\n');
+      if (a.timing) line += `\n    from: ${a.timing.from}\n    to: ${a.timing.to}`;
+      return line;
+    })
+    .join('\n');
+}
+
+/**
+ * Per-type instructions for the types present in the assertions, including the extra fields
+ * each evaluation of that type must contain.
+ * @param {Array<{ type?: string }>} assertions
+ * @returns {string}
+ */
+function getAssertionTypeInstructions(assertions) {
+  const types = Array.from(new Set(assertions.map((a) => a.type || 'concrete')));
+  const lines = ['## How to evaluate each assertion type'];
+  for (const type of types) {
+    const { guidance, fields } = getTypeGuidance(type);
+    lines.push(`- ${type}: ${guidance}`);
+    lines.push(`  Extra fields for ${type} evaluations: ${fields}`);
+  }
+  return lines.join('\n');
+}
+
 function getPersonaBlock(persona) {
   if (persona === 'ux-designer') {
     return `
@@ -140,15 +242,24 @@ function getTimelineSystemPrompt(persona) {
 
 /**
  * User message for timeline: we will append frame images and optionally a short instruction.
+ * @param {{ index: number, count: number, startSeconds: number, endSeconds: number }} [window] - Set when the video is described in several windows.
  */
-function getTimelineUserPrompt() {
+function getTimelineUserPrompt(window) {
   const lines = [
     'Below are frames from the video with their timestamps (in seconds).',
     'Frames are in order. Format for each: "Frame N (t=Xs)" then the image.',
+  ];
+  if (window) {
+    lines.push(
+      `These frames are part ${window.index + 1} of ${window.count} of a longer recording and cover t=${window.startSeconds.toFixed(1)}s to t=${window.endSeconds.toFixed(1)}s.`,
+      'Describe only what happens in this part. Use the absolute timestamps shown with each frame.'
+    );
+  }
+  lines.push(
     '',
     'Describe what happens in the video as a timeline. Output valid JSON only:',
-    '{ "timeline": [ { "timestampSeconds": number, "description": string } ] }',
-  ];
+    '{ "timeline": [ { "timestampSeconds": number, "description": string } ] }'
+  );
   return lines.join('\n');
 }
 
@@ -169,6 +280,46 @@ function getEvaluationSystemPrompt(persona) {
   ].filter(Boolean).join('\n');
 }
 
+/**
+ * System prompt for step segmentation: locate each test step in the timeline.
+ */
+function getSegmentationSystemPrompt(persona) {
+  return [
+    getPersonaBlock(persona),
+    'You split a mobile app screen recording into test steps, using a timeline description of the video.',
+    'For each test step, give the time range (in seconds) in which it happens. Steps are listed in the order they are expected to happen; ranges must not overlap and should follow that order.',
+    'If a step cannot be found in the timeline, return null for its startSeconds and endSeconds.',
+    'Output valid JSON only, no markdown code fences.',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * User message for step segmentation: timeline + steps to locate.
+ * @param {string | object} timelineJson
+ * @param {Array<{ id: string, description: string, assertions: Array<{ text: string }> }>} steps
+ * @param {number} durationSeconds - Video duration (0 if unknown).
+ */
+function getSegmentationUserPrompt(timelineJson, steps, durationSeconds) {
+  const stepLines = steps.map((step) => {
+    const texts = step.assertions.map((a) => a.text).join('; ');
+    return `- [${step.id}] ${step.description || '(no description)'} (checked by: ${texts})`;
+  });
+  return [
+    '## Timeline from the video',
+    '```json',
+    typeof timelineJson === 'string' ? timelineJson : JSON.stringify(timelineJson, null, 2),
+    '```',
+    ...(durationSeconds ? [`The video is ${durationSeconds.toFixed(1)}s long.`] : []),
+    '',
+    '## Test steps',
+    ...stepLines,
+    '',
+    'Output one entry per test step:',
+    '{ "segments": [ { "testStepId": string, "startSeconds": number | null, "endSeconds": number | null, "confidence": number (0-1), "reason": string } ] }',
+    'Output only valid JSON, no extra text.',
+  ].join('\n');
+}
+
 /**
  * System prompt for batch: evaluate all assertions in one call from frames.
  */
@@ -229,9 +380,7 @@ function getSingleAssertionUserPromptIntro() {
  * Build user message for evaluation: timeline + assertions list.
  */
 function getEvaluationUserPrompt(timelineJson, assertions) {
-  const assertionsList = assertions
-    .map((a) => `- [${a.id}] ${a.text} (testStepId: ${a.testStepId || 'unknown'})`)
-    .join('\n');
+  const assertionsList = formatAssertionList(assertions);
 
   return [
     '## Timeline from the video',
@@ -242,20 +391,61 @@ function getEvaluationUserPrompt(timelineJson, assertions) {
     '## Assertions to evaluate',
     assertionsList,
     '',
-    'For each assertion, produce a single JSON object with this shape (one entry per assertion):',
+    getAssertionTypeInstructions(assertions),
+    '',
+    'For each assertion, produce a single JSON object with this shape (one entry per assertion), plus the extra fields for its type:',
     '{ "evaluations": [ { "assertionId": string, "verdict": "pass"|"fail"|"uncertain", "confidence": number (0-1), "explanation": string, "evidence": [ { "timestampSeconds": number, "frameIndex": number (optional), "description": string } ] } ] }',
     'Output only valid JSON, no extra text.',
   ].join('\n');
 }
 
+/**
+ * Text appended after the frames for batch: assertions list + per-type instructions.
+ */
+function getBatchAssertionsPrompt(assertions) {
+  return [
+    '',
+    '## Assertions to evaluate',
+    formatAssertionList(assertions),
+    '',
+    getAssertionTypeInstructions(assertions),
+    '',
+    'Output only valid JSON with an "evaluations" array (assertionId, verdict, confidence, explanation, evidence, plus the extra fields for each assertion\'s type).',
+  ].join('\n');
+}
+
+/**
+ * Text appended after the frames for single: the one assertion + instructions for its type.
+ */
+function getSingleAssertionPrompt(assertion) {
+  return [
+    '',
+    '## Assertion to evaluate',
+    formatAssertionList([assertion]).slice(2),
+    '',
+    getAssertionTypeInstructions([assertion]),
+    '',
+    `Output only valid JSON with an "evaluations" array containing exactly one object (assertionId: "${assertion.id}", verdict, confidence, explanation, evidence, plus the extra fields for its type).`,
+  ].join('\n');
+}
+
 module.exports = {
+  PROMPT_VERSIONS,
   getPersonaBlock,
   getTimelineSystemPrompt,
   getTimelineUserPrompt,
   getEvaluationSystemPrompt,
   getEvaluationUserPrompt,
+  getSegmentationSystemPrompt,
+  getSegmentationUserPrompt,
   getBatchSystemPrompt,
   getBatchUserPromptIntro,
   getSingleAssertionSystemPrompt,
   getSingleAssertionUserPromptIntro,
+  getBatchAssertionsPrompt,
+  getSingleAssertionPrompt,
+  formatAssertionList,
+  getAssertionTypeInstructions,
+  ASSERTION_TYPE_GUIDANCE,
+  SUBJECTIVE_RUBRIC,
 };
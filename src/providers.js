@@ -0,0 +1,165 @@
+/**
+ * VLM providers: a common interface for sending a request (system prompt + messages with content blocks)
+ * and getting back text + token usage.
+ *
+ * provider.send({ model, maxTokens, system, messages, meta }) resolves to
+ * { text, model, usage: { inputTokens, outputTokens }, stopReason }.
+ * meta carries { label, assertionId? } so providers that don't call a model (mock) can pick a response.
+ * An optional `signal` (AbortSignal) cancels the request; the promise then rejects. An optional
+ * `onRetry` callback is told about retries (see retry.js).
+ *
+ * Implementations:
+ * - anthropic: Claude via @anthropic-ai/sdk.
+ * - mock: deterministic canned responses from fixture files (no network, no API key).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Anthropic = require('@anthropic-ai/sdk');
+const { withRetry } = require('./retry');
+const { SettingsError, throwIfAborted } = require('./errors');
+
+/**
+ * Provider backed by the Anthropic Messages API.
+ * @param {{ apiKey: string }} opts
+ * @returns {{ name: string, send: Function }}
+ */
+function createAnthropicProvider(opts) {
+  const { apiKey } = opts;
+  if (!apiKey) {
+    throw new SettingsError('ANTHROPIC_API_KEY is not set. Add it to .env or export it.');
+  }
+  // Retries are handled by withRetry so backoff and retry reporting are the same for every provider.
+  const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+  async function send(request) {
+    const { model, maxTokens, system, messages, signal } = request;
+    const response = await client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages,
+    }, { signal });
+    return {
+      text: response.content?.find((c) => c.type === 'text')?.text || '{}',
+      model: response.model || model,
+      usage: {
+        inputTokens: response.usage?.input_tokens ?? 0,
+        outputTokens: response.usage?.output_tokens ?? 0,
+      },
+      stopReason: response.stop_reason || null,
+    };
+  }
+
+  return { name: 'anthropic', send };
+}
+
+function parseFixtureJson(content, file) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw new SettingsError(`Invalid mock fixture JSON in ${file}: ${e.message}`, { cause: e });
+  }
+}
+
+/**
+ * Load mock fixtures from a JSON file or a directory.
+ * File: { "responses": { "<key>": response | [response, ...] } } (or the responses object at top level).
+ * Directory: one file per key, named "<key>.json" (parsed) or "<key>.txt" (raw text).
+ * @param {string} fixturesPath
+ * @returns {Record<string, unknown>} Responses by key.
+ * @throws {SettingsError} When the path does not exist or a fixture file is not valid JSON.
+ */
+function loadMockFixtures(fixturesPath) {
+  const resolved = path.resolve(fixturesPath);
+  if (!fs.existsSync(resolved)) {
+    throw new SettingsError(`Mock fixtures not found: ${resolved}`);
+  }
+
+  if (fs.statSync(resolved).isDirectory()) {
+    const responses = {};
+    for (const name of fs.readdirSync(resolved).sort()) {
+      const ext = path.extname(name);
+      if (ext !== '.json' && ext !== '.txt') continue;
+      const file = path.join(resolved, name);
+      const content = fs.readFileSync(file, 'utf8');
+      responses[path.basename(name, ext)] = ext === '.json' ? parseFixtureJson(content, file) : content;
+    }
+    return responses;
+  }
+
+  const data = parseFixtureJson(fs.readFileSync(resolved, 'utf8'), resolved);
+  return data.responses || data;
+}
+
+/**
+ * Deterministic provider that replays canned responses.
+ * Lookup order per request: "<label>.<assertionId>", "<label>", "default".
+ * A response may be a string (returned as-is, useful for malformed output) or an object (serialized as JSON).
+ * If the fixture is an array, successive calls with the same key get successive items (the last one repeats).
+ * @param {{ fixturesPath?: string, responses?: Record<string, unknown> }} opts
+ * @returns {{ name: string, send: Function }}
+ */
+function createMockProvider(opts) {
+  const responses = opts.responses || (opts.fixturesPath ? loadMockFixtures(opts.fixturesPath) : null);
+  if (!responses) {
+    throw new SettingsError('Mock provider needs fixtures: set mockFixtures in config or pass --mock-fixtures.');
+  }
+  const callCounts = new Map();
+
+  async function send(request) {
+    const { model, meta = {}, signal } = request;
+    throwIfAborted(signal);
+    const keys = [];
+    if (meta.assertionId) keys.push(`${meta.label}.${meta.assertionId}`);
+    keys.push(meta.label, 'default');
+
+    const key = keys.find((k) => k && Object.prototype.hasOwnProperty.call(responses, k));
+    if (!key) {
+      throw new Error(`Mock provider: no fixture response for "${keys[0]}"`);
+    }
+
+    let response = responses[key];
+    if (Array.isArray(response)) {
+      const n = callCounts.get(key) || 0;
+      callCounts.set(key, n + 1);
+      response = response[Math.min(n, response.length - 1)];
+    }
+
+    return {
+      text: typeof response === 'string' ? response : JSON.stringify(response),
+      model,
+      usage: { inputTokens: 0, outputTokens: 0 },
+      stopReason: 'end_turn',
+    };
+  }
+
+  return { name: 'mock', send };
+}
+
+/**
+ * Create the provider named in settings. The Anthropic provider is wrapped with retry/backoff.
+ * @param {{ provider?: string, mockFixtures?: string, maxRetries?: number, retryBaseDelayMs?: number }} settings
+ * @param {{ apiKey?: string }} [secrets]
+ * @returns {{ name: string, send: Function }}
+ */
+function createProvider(settings, secrets = {}) {
+  const name = settings.provider || 'anthropic';
+  if (name === 'mock') {
+    return createMockProvider({ fixturesPath: settings.mockFixtures });
+  }
+  if (name === 'anthropic') {
+    return withRetry(createAnthropicProvider({ apiKey: secrets.apiKey }), {
+      maxRetries: settings.maxRetries,
+      baseDelayMs: settings.retryBaseDelayMs,
+    });
+  }
+  throw new SettingsError(`Unknown provider: ${name}`);
+}
+
+module.exports = {
+  createProvider,
+  createAnthropicProvider,
+  createMockProvider,
+  loadMockFixtures,
+};
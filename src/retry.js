@@ -0,0 +1,108 @@
+/**
+ * Retry with exponential backoff for provider calls.
+ * Retries rate limits (429), overload (529 / overloaded_error), server errors (5xx), timeouts and
+ * connection errors; other errors (bad request, auth) fail immediately.
+ */
+
+const { CancelledError, getAbortReason, throwIfAborted } = require('./errors');
+
+const RETRYABLE_ERROR_TYPES = ['rate_limit_error', 'overloaded_error', 'api_error'];
+
+/**
+ * Whether an error from a provider call is worth retrying.
+ * @param {Error & { status?: number, error?: { error?: { type?: string } } }} err
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (!err) return false;
+  const status = err.status;
+  if (status === 408 || status === 409 || status === 429) return true;
+  if (typeof status === 'number' && status >= 500) return true;
+  const type = err.error?.error?.type || err.error?.type;
+  if (type && RETRYABLE_ERROR_TYPES.includes(type)) return true;
+  // Connection errors and timeouts from the SDK have no status.
+  if (status == null && /connection|timeout|timed out|ECONNRESET|ETIMEDOUT|socket hang up/i.test(err.name + ' ' + err.message)) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Delay before the next attempt: the server's retry-after if given, otherwise
+ * baseDelayMs * 2^attempt with +/-20% jitter, capped at maxDelayMs.
+ * @param {number} attempt - 0 for the first retry.
+ * @param {Error & { headers?: object }} err
+ * @param {{ baseDelayMs: number, maxDelayMs: number }} opts
+ * @returns {number} Milliseconds.
+ */
+function getRetryDelay(attempt, err, opts) {
+  const headers = err?.headers || {};
+  const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const retryAfterSeconds = parseFloat(retryAfter);
+  if (!Number.isNaN(retryAfterSeconds) && retryAfterSeconds >= 0) {
+    return Math.min(retryAfterSeconds * 1000, opts.maxDelayMs);
+  }
+  const exp = opts.baseDelayMs * 2 ** attempt;
+  const jitter = exp * 0.2 * (Math.random() * 2 - 1);
+  return Math.min(Math.round(exp + jitter), opts.maxDelayMs);
+}
+
+/**
+ * Wait ms milliseconds; rejects with a CancelledError as soon as the signal is aborted.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError(getAbortReason(signal)));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wrap a provider so retryable errors are retried with backoff. A cancelled request
+ * (request.signal aborted) is not retried.
+ * Before each retry, request.onRetry (if set) gets { attempt, maxRetries, delayMs, error }.
+ * The response gets a `retries` count (number of failed attempts before it succeeded).
+ * @param {{ name: string, send: Function }} provider
+ * @param {{ maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number }} [opts]
+ * @returns {{ name: string, send: Function }}
+ */
+function withRetry(provider, opts = {}) {
+  const maxRetries = opts.maxRetries ?? 4;
+  const delayOpts = {
+    baseDelayMs: opts.baseDelayMs ?? 1000,
+    maxDelayMs: opts.maxDelayMs ?? 30000,
+  };
+  if (maxRetries <= 0) return provider;
+
+  async function send(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await provider.send(request);
+        return attempt > 0 ? { ...response, retries: attempt } : response;
+      } catch (err) {
+        if (request.signal?.aborted || attempt >= maxRetries || !isRetryableError(err)) throw err;
+        const delay = getRetryDelay(attempt, err, delayOpts);
+        if (request.onRetry) {
+          request.onRetry({ attempt: attempt + 1, maxRetries, delayMs: delay, error: `${err.status || err.name}: ${err.message}` });
+        }
+        await sleep(delay, request.signal);
+      }
+    }
+  }
+
+  return { name: provider.name, send };
+}
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  getRetryDelay,
+};
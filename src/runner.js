@@ -0,0 +1,237 @@
+/**
+ * Run orchestration shared by validate.js, the suite and experiment commands and the server:
+ * provider setup, frame extraction, the model pipeline and output assembly. Functions throw on
+ * unusable input instead of exiting, so a caller running many validations (experiment) can record
+ * the failure and continue.
+ */
+
+const fs = require('fs');
+const { extractFrames } = require('./videoProcessor');
+const { runRepeatedPipeline } = require('./consensus');
+const { createProvider } = require('./providers');
+const { withCache } = require('./cache');
+const { buildOutput } = require('./output');
+const { segmentTestSteps, applySegments } = require('./segmentation');
+const { SettingsError, VideoError, CancelledError, getAbortReason } = require('./errors');
+
+/**
+ * Reject settings a run cannot use.
+ * @param {object} settings
+ * @throws {SettingsError}
+ */
+function checkSettings(settings) {
+  if (!Number.isInteger(settings.runs) || settings.runs < 1) {
+    throw new SettingsError(`runs must be a positive integer, got ${settings.runs}`);
+  }
+}
+
+/**
+ * Provider for a run: the configured provider wrapped with the model call cache.
+ * @param {object} settings - Effective settings (from loadSettings).
+ * @param {{ apiKey?: string }} [secrets]
+ * @returns {{ name: string, send: Function }}
+ * @throws {SettingsError} When the provider cannot be set up (e.g. no API key).
+ */
+function createRunProvider(settings, secrets = {}) {
+  // Replay never calls the model, so it needs no provider (and no API key).
+  const baseProvider = settings.cache === 'replay' ? null : createProvider(settings, secrets);
+  return withCache(baseProvider, { mode: settings.cache, dir: settings.cacheDir, providerName: settings.provider });
+}
+
+/**
+ * Extract frames for a recording with the sampling settings.
+ * @param {{ videoPath: string, settings: object, framesDir: string, onProgress?: Function, signal?: AbortSignal }} opts
+ *   onProgress receives { type: 'stage', message } when extraction starts and ends, and
+ *   extractFrames' 'extraction-progress' events.
+ * @returns {Promise<{ durationSeconds: number, rawFrameCount: number, frames: Array<object> }>}
+ * @throws {VideoError} When the recording cannot be read or no frames could be extracted.
+ * @throws {CancelledError} When the signal is aborted during extraction.
+ */
+async function prepareFrames(opts) {
+  const { videoPath, settings, framesDir, onProgress, signal } = opts;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  emit({ type: 'stage', message: `Extracting frames (fps=${settings.fps}, sampling=${settings.sampling})...` });
+  let extraction;
+  try {
+    extraction = await extractFrames(videoPath, settings.fps, framesDir, {
+      sampling: settings.sampling,
+      changeThreshold: settings.changeThreshold,
+      maxFrames: settings.frameBudget,
+      onProgress,
+      signal,
+    });
+  } catch (e) {
+    if (e instanceof CancelledError) throw e;
+    throw new VideoError(e.message, { cause: e });
+  }
+  emit({
+    type: 'stage',
+    message: settings.sampling === 'adaptive'
+      ? `Frames selected: ${extraction.frames.length} of ${extraction.rawFrameCount} extracted`
+      : `Frames extracted: ${extraction.frames.length}`,
+  });
+  if (extraction.frames.length === 0) {
+    throw new VideoError('No frames extracted. Check video path and format.');
+  }
+  return extraction;
+}
+
+/**
+ * Run the model pipeline on extracted frames and build the output document.
+ * Nothing is printed: stages, summaries and problems (call failures, validation issues; these are
+ * also recorded in the output) are reported to opts.onProgress.
+ * @param {object} opts
+ * @param {{ name: string, send: Function }} opts.provider
+ * @param {object} opts.settings
+ * @param {string} opts.videoPath
+ * @param {string} opts.assertionsPath
+ * @param {Array<object>} opts.assertions
+ * @param {{ durationSeconds: number, rawFrameCount: number, frames: Array<object> }} opts.extraction - prepareFrames result.
+ * @param {Date} [opts.startedAt]
+ * @param {(event: object) => void} [opts.onProgress] - Receives
+ *   - { type: 'stage', message } when segmentation or the pipeline starts
+ *   - { type: 'segments-located', segments } with --segment-steps
+ *   - { type: 'run-started', run, runs } before each of several runs
+ *   - the pipeline's call / assertion events (see claudeAgent.js)
+ *   - { type: 'info', message } for the validation, consensus and scoring summaries
+ *   - { type: 'warning', message } for failed calls, segmentation issues, missing evaluations, …
+ * @param {AbortSignal} [opts.signal] - Cancels the model calls; the output then has the evaluations
+ *   completed so far (the rest are missing) and `run.cancelled`.
+ * @returns {Promise<object>} Output document (see output.js).
+ */
+async function evaluateRecording(opts) {
+  const { provider, settings, videoPath, assertionsPath, assertions, extraction, startedAt = new Date(), onProgress, signal } = opts;
+  const { durationSeconds, rawFrameCount, frames } = extraction;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  const warn = (message) => emit({ type: 'warning', message });
+  const info = (message) => emit({ type: 'info', message });
+
+  let segmentation = null;
+  let runAssertions = assertions;
+  if (settings.segmentSteps) {
+    emit({ type: 'stage', message: 'Locating test steps in the recording...' });
+    segmentation = await segmentTestSteps({
+      provider,
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      jsonRepairAttempts: settings.jsonRepairAttempts,
+      persona: settings.persona,
+      frames,
+      assertions,
+      durationSeconds,
+      onProgress,
+      signal,
+    });
+    emit({ type: 'segments-located', segments: segmentation.segments });
+    for (const issue of segmentation.issues) warn(`segmentation: ${issue}`);
+    runAssertions = applySegments(assertions, segmentation.segments);
+  }
+
+  emit({ type: 'stage', message: `Running ${provider.name} ${settings.strategy} pipeline (persona=${settings.persona}, cache=${settings.cache})...` });
+  let result = await runRepeatedPipeline({
+    runs: settings.runs,
+    onRunStart: (n, total) => emit({ type: 'run-started', run: n, runs: total }),
+    onProgress,
+    signal,
+    provider,
+    model: settings.model,
+    maxTokens: settings.maxTokens,
+    jsonRepairAttempts: settings.jsonRepairAttempts,
+    persona: settings.persona,
+    strategy: settings.strategy,
+    concurrency: settings.concurrency,
+    frames,
+    assertions: runAssertions,
+    // two-pass reuses the segmentation timeline instead of describing the frames again; with several
+    // runs each run describes them itself, so consensus samples both passes and not just the second.
+    ...(segmentation && segmentation.timeline.length > 0 && settings.runs === 1 ? { timeline: segmentation.timeline } : {}),
+  });
+  if (segmentation) {
+    result = {
+      ...result,
+      timeline: result.timeline.length > 0 ? result.timeline : segmentation.timeline,
+      calls: [...segmentation.calls, ...result.calls],
+      errors: [...segmentation.errors, ...result.errors],
+    };
+  }
+
+  const cancelled = signal && signal.aborted ? { reason: getAbortReason(signal) } : null;
+  if (cancelled) {
+    warn(`run cancelled (${cancelled.reason}); assertions not evaluated by then are missing`);
+  }
+
+  for (const err of result.errors) {
+    const where = [err.assertionId, err.run ? `run ${err.run}` : null].filter(Boolean).join(', ');
+    warn(`${err.label} call failed${where ? ` (${where})` : ''}: ${err.message}`);
+  }
+
+  const output = buildOutput({
+    videoPath,
+    assertionsPath,
+    durationSeconds,
+    rawFrameCount,
+    frames,
+    settings,
+    assertions: runAssertions,
+    result,
+    segmentation,
+    cancelled,
+    startedAt,
+    completedAt: new Date(),
+  });
+
+  const { missingAssertionIds, unknownAssertionIds, correctedAssertionIds, outsideWindowEvidenceCount } = output.run.validation;
+  if (missingAssertionIds.length > 0) {
+    warn(`no evaluation for ${missingAssertionIds.length} assertion(s): ${missingAssertionIds.join(', ')}`);
+  }
+  if (unknownAssertionIds.length > 0) {
+    warn(`ignored evaluations for unknown assertion id(s): ${unknownAssertionIds.join(', ')}`);
+  }
+  if (correctedAssertionIds.length > 0) {
+    info(`Evaluations corrected by validation: ${correctedAssertionIds.length}`);
+  }
+  if (outsideWindowEvidenceCount > 0) {
+    warn(`${outsideWindowEvidenceCount} evidence item(s) cite a time outside their assertion's window`);
+  }
+  if (output.run.consensus) {
+    const { runs, method, unanimousCount, meanAgreement, unstableAssertionIds } = output.run.consensus;
+    info(`Consensus over ${runs} runs (${method}): ${unanimousCount}/${assertions.length} assertion(s) unanimous, mean agreement ${meanAgreement}`);
+    if (unstableAssertionIds.length > 0) {
+      warn(`verdict changed between runs for: ${unstableAssertionIds.join(', ')}`);
+    }
+  }
+
+  if (output.scoring) {
+    const { labeledCount, correctCount, accuracy, failDetection } = output.scoring;
+    info(`Scoring: ${correctCount}/${labeledCount} labeled assertion(s) correct (accuracy ${accuracy}, `
+      + `fail precision ${failDetection.precision ?? 'n/a'}, fail recall ${failDetection.recall ?? 'n/a'})`);
+  }
+
+  return output;
+}
+
+/**
+ * Delete a frames directory created by prepareFrames (failures are only reported).
+ * @param {string} framesDir
+ * @param {(message: string) => void} [onWarning] - Receives the failure (default: ignored).
+ */
+function removeFramesDir(framesDir, onWarning = () => {}) {
+  try {
+    // Recursive: suites and experiments keep one subdirectory per recording under a shared root.
+    fs.rmSync(framesDir, { recursive: true, force: true });
+  } catch (e) {
+    onWarning(`could not remove temp frames dir: ${e.message}`);
+  }
+}
+
+module.exports = {
+  checkSettings,
+  createRunProvider,
+  prepareFrames,
+  evaluateRecording,
+  removeFramesDir,
+};
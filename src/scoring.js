@@ -0,0 +1,105 @@
+/**
+ * Score verdicts against ground-truth labels (assertion `expectedVerdict`).
+ *
+ * Report:
+ * - accuracy: share of labeled assertions whose verdict equals the expected one (missing counts as wrong)
+ * - failDetection: precision / recall of "fail" verdicts, treating fail as the positive class
+ * - confusionMatrix: counts by expected verdict, then actual verdict
+ * - calibration: confidence bins with mean confidence vs. actual accuracy, and the expected
+ *   calibration error (bin-weighted mean of |accuracy - confidence|)
+ * - mismatches: labeled assertions whose verdict was wrong
+ */
+
+const { VERDICTS, MISSING_VERDICT } = require('./evaluationValidator');
+
+/** Confidence bins for calibration: [0, 0.2), [0.2, 0.4), … [0.8, 1]. */
+const CALIBRATION_BIN_COUNT = 5;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+/**
+ * @param {Array<{ expected: string, verdict: string, confidence: number }>} scored - Labeled results with a verdict.
+ */
+function buildCalibration(scored) {
+  const bins = Array.from({ length: CALIBRATION_BIN_COUNT }, (_, i) => ({
+    min: i / CALIBRATION_BIN_COUNT,
+    max: (i + 1) / CALIBRATION_BIN_COUNT,
+    items: [],
+  }));
+  for (const r of scored) {
+    const i = Math.min(CALIBRATION_BIN_COUNT - 1, Math.floor(r.confidence * CALIBRATION_BIN_COUNT));
+    bins[i].items.push(r);
+  }
+
+  let expectedCalibrationError = 0;
+  const summary = bins.map((bin) => {
+    const count = bin.items.length;
+    const meanConfidence = count ? bin.items.reduce((s, r) => s + r.confidence, 0) / count : null;
+    const accuracy = count ? bin.items.filter((r) => r.verdict === r.expected).length / count : null;
+    if (count) expectedCalibrationError += (count / scored.length) * Math.abs(accuracy - meanConfidence);
+    return {
+      range: [round(bin.min), round(bin.max)],
+      count,
+      meanConfidence: meanConfidence == null ? null : round(meanConfidence),
+      accuracy: accuracy == null ? null : round(accuracy),
+    };
+  });
+
+  return {
+    bins: summary,
+    expectedCalibrationError: scored.length ? round(expectedCalibrationError) : null,
+  };
+}
+
+/**
+ * Score the assertions of an output document that have an expectedVerdict.
+ * @param {Array<{ id: string, text: string, verdict: string, confidence: number, expectedVerdict?: string }>} results - Assertions from output.testSteps, flattened.
+ * @returns {object | null} Scoring report, or null when no assertion is labeled.
+ */
+function scoreResults(results) {
+  const labeled = results
+    .filter((r) => r.expectedVerdict)
+    .map((r) => ({ id: r.id, text: r.text, expected: r.expectedVerdict, verdict: r.verdict, confidence: r.confidence }));
+  if (labeled.length === 0) return null;
+
+  const actualVerdicts = [...VERDICTS, MISSING_VERDICT];
+  const confusionMatrix = {};
+  for (const expected of VERDICTS) {
+    confusionMatrix[expected] = Object.fromEntries(actualVerdicts.map((v) => [v, 0]));
+  }
+  for (const r of labeled) confusionMatrix[r.expected][r.verdict] += 1;
+
+  const correct = labeled.filter((r) => r.verdict === r.expected).length;
+  const truePositives = labeled.filter((r) => r.expected === 'fail' && r.verdict === 'fail').length;
+  const predictedFail = labeled.filter((r) => r.verdict === 'fail').length;
+  const expectedFail = labeled.filter((r) => r.expected === 'fail').length;
+
+  return {
+    labeledCount: labeled.length,
+    correctCount: correct,
+    accuracy: ratio(correct, labeled.length),
+    failDetection: {
+      truePositives,
+      falsePositives: predictedFail - truePositives,
+      falseNegatives: expectedFail - truePositives,
+      precision: ratio(truePositives, predictedFail),
+      recall: ratio(truePositives, expectedFail),
+    },
+    confusionMatrix,
+    calibration: buildCalibration(labeled.filter((r) => r.verdict !== MISSING_VERDICT)),
+    mismatches: labeled
+      .filter((r) => r.verdict !== r.expected)
+      .map((r) => ({ id: r.id, expected: r.expected, verdict: r.verdict, confidence: r.confidence })),
+  };
+}
+
+module.exports = {
+  scoreResults,
+  CALIBRATION_BIN_COUNT,
+};
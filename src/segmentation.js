@@ -0,0 +1,139 @@
+/**
+ * Automatic test-step segmentation: a pre-pass that describes the recording as a timeline, asks the
+ * model where each test step (testStepId + testStepDescription) starts and ends, and turns the
+ * answer into a time window for the step's assertions (see assertions.js). Assertions with a
+ * window of their own keep it.
+ *
+ * Segment: { testStepId, startSeconds, endSeconds, confidence, reason }.
+ * Steps the model could not locate get no segment; their assertions are judged on the whole recording.
+ */
+
+const {
+  getSegmentationSystemPrompt,
+  getSegmentationUserPrompt,
+} = require('./prompts');
+const { describeTimeline, countTimelineCalls, createProgressTracker, requestJson } = require('./claudeAgent');
+const { groupByTestStep } = require('./assertions');
+const { parseTimestamp } = require('./evaluationValidator');
+
+/**
+ * Check the model's segments against the steps and the recording.
+ * @param {Array<object>} raw - Segments returned by the model.
+ * @param {Array<{ id: string }>} steps
+ * @param {number} maxSeconds - End of the recording.
+ * @returns {{ segments: Array<object>, issues: string[] }}
+ */
+function normalizeSegments(raw, steps, maxSeconds) {
+  const issues = [];
+  const byStep = new Map();
+  for (const item of raw) {
+    if (!item || typeof item !== 'object') continue;
+    const id = item.testStepId || item.id;
+    if (!steps.some((s) => s.id === id)) {
+      issues.push(`segment for unknown step ${JSON.stringify(id)} ignored`);
+      continue;
+    }
+    byStep.set(id, item);
+  }
+
+  const segments = [];
+  for (const step of steps) {
+    const item = byStep.get(step.id);
+    const start = item ? parseTimestamp(item.startSeconds) : null;
+    const end = item ? parseTimestamp(item.endSeconds) : null;
+    if (start == null || end == null) {
+      issues.push(`step "${step.id}" was not located; its assertions use the whole recording`);
+      continue;
+    }
+    const startSeconds = Math.min(Math.max(0, start), maxSeconds);
+    const endSeconds = Math.min(Math.max(0, end), maxSeconds);
+    if (endSeconds <= startSeconds) {
+      issues.push(`step "${step.id}" segment ${start}s–${end}s is empty; its assertions use the whole recording`);
+      continue;
+    }
+    const confidence = Number(item.confidence);
+    segments.push({
+      testStepId: step.id,
+      startSeconds,
+      endSeconds,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+      reason: typeof item.reason === 'string' ? item.reason : '',
+    });
+  }
+  return { segments, issues };
+}
+
+/**
+ * Locate each test step of the assertions in the recording.
+ * Failures do not throw: they are returned in `errors` and the steps get no segments.
+ * @param {object} opts
+ * @param {object} opts.provider - VLM provider
+ * @param {string} opts.model
+ * @param {number} opts.maxTokens
+ * @param {number} [opts.jsonRepairAttempts]
+ * @param {string} opts.persona
+ * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} opts.frames
+ * @param {Array<object>} opts.assertions
+ * @param {number} opts.durationSeconds - Video duration (0 if unknown).
+ * @param {(event: object) => void} [opts.onProgress] - Call progress events (see claudeAgent.js).
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ timeline: Array<object>, segments: Array<object>, issues: string[], calls: Array<object>, errors: Array<{ label: string, message: string }> }>}
+ */
+async function segmentTestSteps(opts) {
+  const { provider, model, maxTokens, jsonRepairAttempts, persona, frames, assertions, durationSeconds, onProgress, signal } = opts;
+  const calls = [];
+  const errors = [];
+  const steps = groupByTestStep(assertions);
+  const progress = createProgressTracker(onProgress, { plannedCalls: countTimelineCalls(frames) + 1 });
+  const lastFrameTimestamp = frames.length ? frames[frames.length - 1].timestampSeconds : 0;
+  const maxSeconds = Math.max(durationSeconds || 0, lastFrameTimestamp);
+
+  let timeline = [];
+  try {
+    ({ timeline } = await describeTimeline({ provider, calls, model, maxTokens, jsonRepairAttempts, persona, frames, progress, signal }));
+  } catch (err) {
+    errors.push({ label: 'timeline', message: err.message });
+    return { timeline, segments: [], issues: [], calls, errors };
+  }
+
+  try {
+    const parsed = await requestJson({
+      provider,
+      calls,
+      label: 'segmentation',
+      expectKey: 'segments',
+      jsonRepairAttempts,
+      model,
+      maxTokens,
+      system: getSegmentationSystemPrompt(persona),
+      messages: [{ role: 'user', content: getSegmentationUserPrompt({ timeline }, steps, durationSeconds) }],
+      progress,
+      signal,
+    });
+    return { timeline, ...normalizeSegments(parsed.segments, steps, maxSeconds), calls, errors };
+  } catch (err) {
+    errors.push({ label: 'segmentation', message: err.message });
+    return { timeline, segments: [], issues: [], calls, errors };
+  }
+}
+
+/**
+ * Give each assertion without a time window the window of its step's segment.
+ * @param {Array<object>} assertions
+ * @param {Array<{ testStepId: string, startSeconds: number, endSeconds: number }>} segments
+ * @returns {Array<object>} New assertion objects (the input is not changed).
+ */
+function applySegments(assertions, segments) {
+  const byStep = new Map(segments.map((s) => [s.testStepId, s]));
+  return assertions.map((a) => {
+    const segment = byStep.get(a.testStepId);
+    if (a.window || !segment) return a;
+    return { ...a, window: { startSeconds: segment.startSeconds, endSeconds: segment.endSeconds } };
+  });
+}
+
+module.exports = {
+  segmentTestSteps,
+  applySegments,
+  normalizeSegments,
+};
@@ -0,0 +1,510 @@
+/**
+ * Local HTTP API for validation jobs, for harnesses that submit recordings instead of running the CLI.
+ *
+ * Endpoints (JSON unless noted):
+ * - GET  /health                      → { status, queued, running }
+ * - POST /uploads?name=<file name>    raw video bytes as the body → 201 { id, name, size }
+ * - POST /jobs                        { video: <upload id>, assertions: <assertions file content>,
+ *                                       settings?: { ...overrides }, reports?: ['html', 'junit'], timeoutSeconds? } → 202 job
+ * - GET  /jobs                        → { jobs: [job, ...] } (newest first)
+ * - GET  /jobs/<id>                   → job: { id, status, progress, warnings, error?, summary?, ... }
+ * - GET  /jobs/<id>/result            → output document (409 until the job has completed)
+ * - GET  /jobs/<id>/reports/<html|junit> → report file (text/html or application/xml)
+ *
+ * Job status: queued → running → completed | failed. Jobs run in order, at most `concurrency` at once.
+ * While running, job.progress has the stage, the current model call (call / totalCalls) and the
+ * assertions evaluated so far (completedAssertions / totalAssertions); job.warnings collects the
+ * run's warnings (failed calls, missing evaluations, …). A job that reaches its
+ * timeoutSeconds is cancelled and fails with `partialResult: true`; its result and reports cover
+ * the assertions evaluated before the timeout.
+ *
+ * Jobs are persisted under jobsDir so a restart does not lose them:
+ * - uploads/<upload id><ext> — uploaded videos (reusable by many jobs)
+ * - <job id>/job.json, assertions.json, result.json, report.html, report.xml
+ * Jobs that were queued or running when the server stopped are queued again on start.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  SUPPORTED_STRATEGIES,
+  SUPPORTED_SAMPLING_MODES,
+  SUPPORTED_PROVIDERS,
+  SUPPORTED_CACHE_MODES,
+  SUPPORTED_CONSENSUS_METHODS,
+} = require('../config/settings');
+const { lintAssertionsFile } = require('./assertionSchema');
+const { generateRunId } = require('./output');
+const { countVerdicts } = require('./suite');
+const { validate } = require('./validate');
+
+const DEFAULT_SERVER_PORT = 8787;
+
+/** Only local clients by default: the API has no authentication. */
+const DEFAULT_SERVER_HOST = '127.0.0.1';
+
+const DEFAULT_JOBS_DIR = 'jobs';
+
+/** Jobs running at once unless the CLI says otherwise. */
+const DEFAULT_JOB_CONCURRENCY = 1;
+
+/** Max size of a JSON request body. */
+const MAX_JSON_BYTES = 5 * 1024 * 1024;
+
+/** Longest job timeout: setTimeout fires at once for delays above 2^31 - 1 ms. */
+const MAX_JOB_TIMEOUT_SECONDS = Math.floor((2 ** 31 - 1) / 1000);
+
+const isPositiveNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isPositiveInteger = (v) => Number.isInteger(v) && v > 0;
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const oneOf = (values) => Object.assign((v) => values.includes(v), { values });
+
+/**
+ * Settings a job may override, with a check of their value. Settings that name server paths
+ * (cacheDir, mockFixtures) are left out: only the server's config file can set them.
+ */
+const JOB_SETTINGS = {
+  fps: isPositiveNumber,
+  sampling: oneOf(SUPPORTED_SAMPLING_MODES),
+  changeThreshold: (v) => typeof v === 'number' && v >= 0 && v <= 1,
+  frameBudget: isPositiveInteger,
+  persona: oneOf(['ux-designer', 'qa-engineer', 'none']),
+  strategy: oneOf(SUPPORTED_STRATEGIES),
+  model: (v) => typeof v === 'string' && v.length > 0,
+  maxTokens: isPositiveInteger,
+  provider: oneOf(SUPPORTED_PROVIDERS),
+  concurrency: isPositiveInteger,
+  maxRetries: isCount,
+  retryBaseDelayMs: (v) => typeof v === 'number' && v >= 0,
+  jsonRepairAttempts: isCount,
+  cache: oneOf(SUPPORTED_CACHE_MODES),
+  runs: isPositiveInteger,
+  consensus: oneOf(SUPPORTED_CONSENSUS_METHODS),
+  segmentSteps: (v) => typeof v === 'boolean',
+};
+
+/** Reports a job can ask for, with their file name and content type. */
+const JOB_REPORTS = {
+  html: { file: 'report.html', contentType: 'text/html; charset=utf-8' },
+  junit: { file: 'report.xml', contentType: 'application/xml; charset=utf-8' },
+};
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_JSON_BYTES) {
+        // Stop reading but keep the socket, so the client gets the 413 (the response closes it).
+        req.removeAllListeners('data');
+        req.pause();
+        const err = httpError(413, `JSON body is larger than ${MAX_JSON_BYTES} bytes`);
+        err.closeConnection = true;
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (e) {
+        reject(httpError(400, `Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function writeJsonFile(filePath, data) {
+  // Write then rename, so a crash never leaves a half-written job.json.
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Jobs and uploads on disk.
+ * @param {string} jobsDir
+ * @param {(message: string) => void} onWarning - Receives job files that cannot be read.
+ */
+function createJobStore(jobsDir, onWarning) {
+  const uploadsDir = path.join(jobsDir, 'uploads');
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  const jobs = new Map();
+
+  for (const name of fs.readdirSync(jobsDir)) {
+    const file = path.join(jobsDir, name, 'job.json');
+    if (!fs.existsSync(file)) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(file, 'utf8'));
+      jobs.set(job.id, job);
+    } catch (e) {
+      onWarning(`skipping unreadable job ${file}: ${e.message}`);
+    }
+  }
+
+  return {
+    jobsDir,
+    uploadsDir,
+    jobs,
+    jobDir: (id) => path.join(jobsDir, id),
+    findUpload(id) {
+      if (!/^[\w-]+$/.test(id || '')) return null;
+      const file = fs.readdirSync(uploadsDir).find((f) => path.basename(f, path.extname(f)) === id);
+      return file ? path.join(uploadsDir, file) : null;
+    },
+    save(job) {
+      jobs.set(job.id, job);
+      fs.mkdirSync(path.join(jobsDir, job.id), { recursive: true });
+      writeJsonFile(path.join(jobsDir, job.id, 'job.json'), job);
+    },
+  };
+}
+
+/**
+ * Stream a request body into the uploads directory.
+ * @returns {Promise<{ id: string, name: string, size: number }>}
+ */
+function saveUpload(req, store, name) {
+  const ext = path.extname(name || '').toLowerCase().replace(/[^.\w]/g, '') || '.mp4';
+  const id = `upload-${crypto.randomBytes(6).toString('hex')}`;
+  const filePath = path.join(store.uploadsDir, id + ext);
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(filePath);
+    let size = 0;
+    req.on('data', (chunk) => { size += chunk.length; });
+    req.pipe(out);
+    out.on('finish', () => {
+      if (size === 0) {
+        fs.rmSync(filePath, { force: true });
+        reject(httpError(400, 'Upload body is empty'));
+        return;
+      }
+      resolve({ id, name: name || id + ext, size });
+    });
+    out.on('error', reject);
+    req.on('error', (err) => {
+      fs.rmSync(filePath, { force: true });
+      reject(err);
+    });
+  });
+}
+
+/** Job progress stage after each validate() progress event. */
+const JOB_STAGES = {
+  'assertions-loaded': ['extracting', 'Extracting frames'],
+  'frames-extracted': ['evaluating', 'Evaluating assertions'],
+  'output-written': ['reporting', 'Writing reports'],
+};
+
+/**
+ * Run one job to completion; failures are recorded on the job, not thrown.
+ */
+async function runJob(job, store, opts) {
+  const dir = store.jobDir(job.id);
+  const setProgress = (fields) => {
+    job.progress = { ...job.progress, ...fields, updatedAt: new Date().toISOString() };
+    store.save(job);
+  };
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  delete job.error;
+  delete job.partialResult;
+  job.warnings = [];
+  job.progress = {};
+  setProgress({ stage: 'starting', message: 'Loading settings and assertions' });
+
+  const controller = new AbortController();
+  const timer = job.timeoutSeconds
+    ? setTimeout(() => controller.abort(new Error(`timed out after ${job.timeoutSeconds}s`)), job.timeoutSeconds * 1000)
+    : null;
+  try {
+    const videoPath = store.findUpload(job.video.uploadId);
+    if (!videoPath) throw new Error(`Upload ${job.video.uploadId} no longer exists`);
+    const output = await validate({
+      video: videoPath,
+      assertions: path.join(dir, 'assertions.json'),
+      settings: job.settings,
+      apiKey: opts.apiKey,
+      output: path.join(dir, 'result.json'),
+      reports: Object.fromEntries(job.reports.map((r) => [r, path.join(dir, JOB_REPORTS[r].file)])),
+      framesDir: path.join(dir, 'frames'),
+      signal: controller.signal,
+      onProgress: (event) => {
+        if (JOB_STAGES[event.type]) {
+          const [stage, message] = JOB_STAGES[event.type];
+          setProgress({ stage, message });
+        } else if (event.type === 'stage') {
+          setProgress({ message: event.message });
+        } else if (event.type === 'warning') {
+          job.warnings.push(event.message);
+          store.save(job);
+        } else if (event.type === 'call-started') {
+          setProgress({ call: event.call, totalCalls: event.totalCalls });
+        } else if (event.type === 'assertion-completed') {
+          setProgress({ completedAssertions: event.completed, totalAssertions: event.totalAssertions });
+        }
+      },
+    });
+    job.summary = { runId: output.run.id, verdicts: countVerdicts(output) };
+    if (output.run.cancelled) {
+      // The result still has every assertion evaluated before the timeout.
+      job.status = 'failed';
+      job.error = `Job ${output.run.cancelled.reason}; the result has the assertions evaluated before that`;
+      job.partialResult = true;
+      setProgress({ stage: 'failed', message: job.error });
+    } else {
+      job.status = 'completed';
+      setProgress({ stage: 'completed', message: 'Done' });
+    }
+  } catch (e) {
+    job.status = 'failed';
+    job.error = e.message;
+    setProgress({ stage: 'failed', message: e.message });
+  } finally {
+    clearTimeout(timer);
+    job.completedAt = new Date().toISOString();
+    store.save(job);
+  }
+}
+
+/**
+ * FIFO queue running at most `concurrency` jobs at once.
+ */
+function createJobQueue(store, opts) {
+  const pending = [];
+  let running = 0;
+
+  function pump() {
+    while (running < opts.concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running += 1;
+      runJob(job, store, opts)
+        .catch((e) => opts.emit({ type: 'warning', message: `job ${job.id}: ${e.message}` }))
+        .finally(() => {
+          running -= 1;
+          opts.emit({ type: 'info', message: `Job ${job.id} ${job.status}` });
+          pump();
+        });
+    }
+  }
+
+  return {
+    push(job) {
+      pending.push(job);
+      pump();
+    },
+    stats: () => ({ queued: pending.length, running }),
+  };
+}
+
+/**
+ * Check a POST /jobs body and create the job (status queued).
+ */
+function createJob(body, store) {
+  if (!body || typeof body !== 'object') throw httpError(400, 'Body must be a JSON object');
+  const uploadPath = store.findUpload(body.video);
+  if (!uploadPath) throw httpError(400, `"video" must be the id of an upload (POST /uploads), got ${JSON.stringify(body.video)}`);
+  if (body.assertions == null) throw httpError(400, '"assertions" is required (the content of an assertions file)');
+
+  const settings = body.settings || {};
+  if (typeof settings !== 'object' || Array.isArray(settings)) throw httpError(400, '"settings" must be an object');
+  const badSettings = Object.entries(settings)
+    .filter(([key, value]) => !JOB_SETTINGS[key] || !JOB_SETTINGS[key](value))
+    .map(([key, value]) => ({
+      setting: key,
+      value,
+      message: !JOB_SETTINGS[key]
+        ? 'unknown setting, or one that only the server config can set'
+        : `invalid value${JOB_SETTINGS[key].values ? ` (one of: ${JOB_SETTINGS[key].values.join(', ')})` : ''}`,
+    }));
+  if (badSettings.length > 0) {
+    throw httpError(400, `Invalid setting(s): ${badSettings.map((b) => b.setting).join(', ')}`, badSettings);
+  }
+
+  const reports = body.reports || [];
+  if (!Array.isArray(reports) || reports.some((r) => !JOB_REPORTS[r])) {
+    throw httpError(400, `"reports" must be a list of: ${Object.keys(JOB_REPORTS).join(', ')}`);
+  }
+  const timeoutSeconds = body.timeoutSeconds ?? null;
+  if (timeoutSeconds !== null && !(isPositiveNumber(timeoutSeconds) && timeoutSeconds <= MAX_JOB_TIMEOUT_SECONDS)) {
+    throw httpError(400, `"timeoutSeconds" must be a positive number of at most ${MAX_JOB_TIMEOUT_SECONDS}`);
+  }
+
+  const now = new Date();
+  const job = {
+    id: `job-${generateRunId(now)}`,
+    status: 'queued',
+    createdAt: now.toISOString(),
+    video: { uploadId: body.video, file: path.basename(uploadPath) },
+    settings,
+    reports,
+    timeoutSeconds,
+    progress: { stage: 'queued', message: 'Waiting for a free slot', updatedAt: now.toISOString() },
+  };
+
+  const dir = store.jobDir(job.id);
+  fs.mkdirSync(dir, { recursive: true });
+  const assertionsPath = path.join(dir, 'assertions.json');
+  fs.writeFileSync(assertionsPath, JSON.stringify(body.assertions, null, 2), 'utf8');
+  const problems = lintAssertionsFile(assertionsPath).problems.filter((p) => p.severity === 'error');
+  if (problems.length > 0) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw httpError(400, `Invalid assertions (${problems.length} error(s))`, problems);
+  }
+
+  store.save(job);
+  return job;
+}
+
+function sendFile(res, filePath, contentType, onWarning) {
+  const stream = fs.createReadStream(filePath);
+  stream.on('open', () => {
+    res.writeHead(200, { 'Content-Type': contentType });
+    stream.pipe(res);
+  });
+  stream.on('error', (err) => {
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    if (err.code === 'ENOENT') {
+      sendJson(res, 404, { error: `${path.basename(filePath)} is missing` });
+    } else {
+      onWarning(`cannot read ${filePath}: ${err.message}`);
+      sendJson(res, 500, { error: `Cannot read ${path.basename(filePath)}` });
+    }
+  });
+}
+
+async function handleRequest(req, res, ctx) {
+  const { store, queue, onWarning } = ctx;
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  switch (`${req.method} /${parts.join('/')}`) {
+    case 'GET /health':
+      return sendJson(res, 200, { status: 'ok', ...queue.stats() });
+    case 'POST /uploads': {
+      const upload = await saveUpload(req, store, url.searchParams.get('name'));
+      return sendJson(res, 201, upload);
+    }
+    case 'POST /jobs': {
+      const job = createJob(await readJsonBody(req), store);
+      res.setHeader('Location', `/jobs/${job.id}`);
+      sendJson(res, 202, job);
+      return queue.push(job);
+    }
+    case 'GET /jobs': {
+      const jobs = Array.from(store.jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return sendJson(res, 200, { jobs });
+    }
+    default:
+      break;
+  }
+
+  const job = parts[0] === 'jobs' ? store.jobs.get(parts[1]) : null;
+  if (parts[0] === 'jobs' && parts[1] && req.method === 'GET') {
+    if (!job) throw httpError(404, `No job ${parts[1]}`);
+    if (parts.length === 2) return sendJson(res, 200, job);
+    if (parts[2] === 'result' && parts.length === 3) {
+      if (job.status !== 'completed' && !job.partialResult) throw httpError(409, `Job is ${job.status}; no result yet`, { status: job.status, error: job.error });
+      return sendFile(res, path.join(store.jobDir(job.id), 'result.json'), 'application/json; charset=utf-8', onWarning);
+    }
+    if (parts[2] === 'reports' && parts.length === 4) {
+      const report = JOB_REPORTS[parts[3]];
+      if (!report || !job.reports.includes(parts[3])) throw httpError(404, `Job did not ask for a ${parts[3]} report`);
+      if (job.status !== 'completed' && !job.partialResult) throw httpError(409, `Job is ${job.status}; no report yet`, { status: job.status });
+      return sendFile(res, path.join(store.jobDir(job.id), report.file), report.contentType, onWarning);
+    }
+  }
+  throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+}
+
+/**
+ * Start the server. Once it listens, jobs left queued or running by a previous server are queued again.
+ * @param {object} [opts]
+ * @param {number} [opts.port] - Default DEFAULT_SERVER_PORT.
+ * @param {string} [opts.host] - Default DEFAULT_SERVER_HOST.
+ * @param {string} [opts.jobsDir] - Default DEFAULT_JOBS_DIR (relative to the working directory).
+ * @param {number} [opts.concurrency] - Jobs running at once (default DEFAULT_JOB_CONCURRENCY).
+ * @param {string} [opts.apiKey]
+ * @param {(event: object) => void} [opts.onProgress] - Server events (the server prints nothing):
+ *   { type: 'info', message } when it listens, resumes jobs and finishes a job, and
+ *   { type: 'warning', message } for unreadable job files and internal errors. Job progress is
+ *   not reported here; it is on each job (GET /jobs/<id>).
+ * @returns {Promise<{ server: http.Server, url: string, close: () => Promise<void> }>}
+ */
+async function startServer(opts = {}) {
+  const emit = (event) => {
+    if (opts.onProgress) opts.onProgress(event);
+  };
+  const onWarning = (message) => emit({ type: 'warning', message });
+  const port = opts.port ?? DEFAULT_SERVER_PORT;
+  const host = opts.host || DEFAULT_SERVER_HOST;
+  const concurrency = Math.max(1, opts.concurrency || DEFAULT_JOB_CONCURRENCY);
+  const store = createJobStore(path.resolve(opts.jobsDir || DEFAULT_JOBS_DIR), onWarning);
+  const queue = createJobQueue(store, { concurrency, apiKey: opts.apiKey, emit });
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, { store, queue, onWarning }).catch((err) => {
+      const status = err.status || 500;
+      if (status === 500) onWarning(`${req.method} ${req.url}: ${err.message}`);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (err.closeConnection) res.setHeader('Connection', 'close');
+      sendJson(res, status, { error: err.message, ...(err.details ? { details: err.details } : {}) });
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  const url = `http://${host}:${address.port}`;
+  emit({ type: 'info', message: `Validation server listening on ${url} (jobs in ${store.jobsDir}, ${concurrency} at a time)` });
+
+  const resumed = Array.from(store.jobs.values())
+    .filter((job) => job.status === 'queued' || job.status === 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of resumed) {
+    job.status = 'queued';
+    job.progress = { stage: 'queued', message: 'Queued again after a server restart', updatedAt: new Date().toISOString() };
+    store.save(job);
+    queue.push(job);
+  }
+  if (resumed.length > 0) emit({ type: 'info', message: `Resuming ${resumed.length} unfinished job(s)` });
+
+  return {
+    server,
+    url,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+module.exports = {
+  DEFAULT_SERVER_PORT,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_JOBS_DIR,
+  DEFAULT_JOB_CONCURRENCY,
+  startServer,
+};
@@ -0,0 +1,309 @@
+/**
+ * Suite runner: validate many recordings, each against one or more assertions files, with shared
+ * settings and a bounded number of recordings in progress at once.
+ *
+ * A suite is either a manifest file (JSON; paths are relative to the file):
+ * {
+ *   "name": "whatsapp",
+ *   "settings": { "strategy": "two-pass" },
+ *   "parallel": 2,
+ *   "recordings": [
+ *     { "name": "wa-text", "video": "recordings/wa-text.mp4", "assertions": "assertions/wa-text" },
+ *     { "video": "recordings/wa-group.mp4", "assertions": ["assertions/wa-group/oneStepConcrete.json"] }
+ *   ]
+ * }
+ * where `assertions` is a file, a directory (every *.json in it) or a list of either;
+ * or a directory laid out by convention: <dir>/recordings/<name>.<mp4|mov|webm|mkv> is validated
+ * against every *.json in <dir>/assertions/<name>/.
+ *
+ * Output directory:
+ * - <recording name>/<assertions file name>.json — result of each recording × assertions file
+ * - summary.json — settings, verdict counts per result and totals
+ * - results.csv — one row per assertion (see csvResults.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSettings } = require('../config/settings');
+const { loadAssertions } = require('./assertions');
+const { mapWithConcurrency } = require('./concurrency');
+const { appendResultsToCsv, buildCsvRows } = require('./csvResults');
+const { checkPolicy } = require('./junit');
+const { checkSettings, createRunProvider, prepareFrames, evaluateRecording, removeFramesDir } = require('./runner');
+
+/** Recordings validated at once unless the suite or CLI says otherwise. */
+const DEFAULT_SUITE_PARALLEL = 2;
+
+/** summary.passed: the --fail-on fail policy (no fail or missing verdict, no failed model call). */
+const SUITE_PASS_POLICY = { failOn: 'fail' };
+
+/** Video extensions recognized by the directory convention. */
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm', '.mkv'];
+
+function listJsonFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+function resolveAssertionFiles(value, baseDir) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.flatMap((entry) => {
+    const resolved = path.resolve(baseDir, entry);
+    if (!fs.existsSync(resolved)) throw new Error(`Assertions not found: ${resolved}`);
+    return fs.statSync(resolved).isDirectory() ? listJsonFiles(resolved) : [resolved];
+  });
+}
+
+/**
+ * Recordings from the directory convention: recordings/<name>.<ext> + assertions/<name>/*.json.
+ * Recordings without an assertions directory are skipped with a warning.
+ */
+function discoverRecordings(dir, onWarning) {
+  const recordingsDir = path.join(dir, 'recordings');
+  const assertionsDir = path.join(dir, 'assertions');
+  if (!fs.existsSync(recordingsDir) || !fs.existsSync(assertionsDir)) {
+    throw new Error(`${dir} is not a suite directory: expected recordings/ and assertions/ in it`);
+  }
+  const recordings = [];
+  for (const file of fs.readdirSync(recordingsDir).sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (!VIDEO_EXTENSIONS.includes(ext)) continue;
+    const name = path.basename(file, path.extname(file));
+    const assertionsPath = path.join(assertionsDir, name);
+    if (!fs.existsSync(assertionsPath) || !fs.statSync(assertionsPath).isDirectory()) {
+      onWarning(`no assertions/${name}/ for recording ${file}; skipped`);
+      continue;
+    }
+    recordings.push({ name, video: path.join(recordingsDir, file), assertions: listJsonFiles(assertionsPath) });
+  }
+  return recordings;
+}
+
+/**
+ * Load a suite from a manifest file or a directory.
+ * @param {string} suitePath
+ * @param {{ onWarning?: (message: string) => void }} [opts] - Receives recordings skipped in a suite directory.
+ * @returns {{ name: string, settings: object, parallel: number | null, recordings: Array<{ name: string, video: string, assertions: string[] }> }}
+ * @throws {Error} When the suite cannot be read, has no recordings, or two results would get the
+ *   same path (recording names, or assertions file names within a recording, used twice).
+ */
+function loadSuite(suitePath, opts = {}) {
+  const { onWarning = () => {} } = opts;
+  const resolved = path.resolve(suitePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Suite not found: ${resolved}`);
+  }
+
+  let suite;
+  if (fs.statSync(resolved).isDirectory()) {
+    suite = { name: path.basename(resolved), settings: {}, parallel: null, recordings: discoverRecordings(resolved, onWarning) };
+  } else {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid suite JSON in ${resolved}: ${e.message}`);
+    }
+    const baseDir = path.dirname(resolved);
+    suite = {
+      name: data.name || path.basename(resolved, '.json'),
+      settings: data.settings || {},
+      parallel: data.parallel ?? null,
+      recordings: (data.recordings || []).map((r, i) => {
+        if (!r.video || !r.assertions) throw new Error(`recordings[${i}] needs "video" and "assertions"`);
+        const video = path.resolve(baseDir, r.video);
+        return {
+          name: r.name || path.basename(video, path.extname(video)),
+          video,
+          assertions: resolveAssertionFiles(r.assertions, baseDir),
+        };
+      }),
+    };
+  }
+
+  if (suite.recordings.length === 0) throw new Error(`Suite ${suite.name} has no recordings`);
+  const names = suite.recordings.map((r) => r.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) throw new Error(`Recording name "${duplicate}" is used twice; give recordings unique "name"s`);
+  // Results are written to <recording name>/<assertions file name>.json.
+  for (const recording of suite.recordings) {
+    const fileNames = recording.assertions.map((a) => path.basename(a));
+    const clash = fileNames.find((n, i) => fileNames.indexOf(n) !== i);
+    if (clash) {
+      throw new Error(`Recording "${recording.name}" has two assertions files named "${clash}"; their results would overwrite each other`);
+    }
+  }
+  return suite;
+}
+
+/**
+ * Verdict counts of an output document.
+ * @param {object} output
+ * @returns {{ pass: number, fail: number, uncertain: number, missing: number }}
+ */
+function countVerdicts(output) {
+  const counts = { pass: 0, fail: 0, uncertain: 0, missing: 0 };
+  for (const step of output.testSteps) {
+    for (const a of step.assertions) counts[a.verdict] = (counts[a.verdict] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Validate one recording against each of its assertions files, extracting frames once.
+ * Failures are recorded per result instead of thrown.
+ */
+async function runRecording(recording, opts) {
+  const { settings, apiKey, outDir, framesDir, keepFrames, onProgress } = opts;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  const onWarning = (message) => emit({ type: 'warning', message });
+  const results = [];
+  try {
+    let extraction;
+    try {
+      extraction = await prepareFrames({ videoPath: recording.video, settings, framesDir, onProgress });
+    } catch (e) {
+      onWarning(`${recording.name}: ${e.message}`);
+      return recording.assertions.map((assertionsPath) => ({ recording: recording.name, video: recording.video, assertions: assertionsPath, error: e.message }));
+    }
+
+    for (const assertionsPath of recording.assertions) {
+      const entry = { recording: recording.name, video: recording.video, assertions: assertionsPath };
+      try {
+        const assertions = loadAssertions(assertionsPath, { onWarning });
+        if (assertions.length === 0) throw new Error(`No assertions found in ${assertionsPath}`);
+        emit({ type: 'stage', message: `${recording.name}: validating ${path.basename(assertionsPath)}` });
+        entry.output = await evaluateRecording({
+          provider: createRunProvider(settings, { apiKey }),
+          settings,
+          videoPath: recording.video,
+          assertionsPath,
+          assertions,
+          extraction,
+          onProgress,
+        });
+        entry.resultPath = path.join(outDir, recording.name, path.basename(assertionsPath));
+        fs.mkdirSync(path.dirname(entry.resultPath), { recursive: true });
+        fs.writeFileSync(entry.resultPath, JSON.stringify(entry.output, null, 2), 'utf8');
+      } catch (e) {
+        onWarning(`${recording.name} / ${path.basename(assertionsPath)} failed: ${e.message}`);
+        entry.error = e.message;
+      }
+      results.push(entry);
+    }
+    return results;
+  } finally {
+    // Also after a failed extraction, which can leave some frames behind.
+    if (!keepFrames) removeFramesDir(framesDir, onWarning);
+  }
+}
+
+/**
+ * Run a suite and write per-recording results, the CSV export and summary.json.
+ * @param {object} opts
+ * @param {object} opts.suite - loadSuite result.
+ * @param {string} opts.outDir
+ * @param {object} [opts.overrides] - Settings overrides (e.g. CLI flags); they win over the suite's settings.
+ * @param {number} [opts.parallel] - Recordings in progress at once (default: suite's, else DEFAULT_SUITE_PARALLEL).
+ * @param {string} [opts.apiKey]
+ * @param {boolean} [opts.keepFrames]
+ * @param {(event: object) => void} [opts.onProgress] - Progress events of each recording's frame
+ *   extraction and evaluation (see runner.js), a 'stage' event as each result starts, and 'warning'
+ *   events for settings and assertions file warnings and failed results.
+ * @returns {Promise<{ summary: object, outputs: Array<object> }>} summary (as written) and every result's output document.
+ */
+async function runSuite(opts) {
+  const { suite, outDir, overrides = {}, apiKey, keepFrames = false, onProgress } = opts;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  const onWarning = (message) => emit({ type: 'warning', message });
+  const parallel = opts.parallel ?? suite.parallel ?? DEFAULT_SUITE_PARALLEL;
+  const startedAt = new Date();
+  const settings = loadSettings({ ...suite.settings, ...overrides }, { onWarning });
+  checkSettings(settings);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const framesRoot = path.join(process.cwd(), 'tmp', 'suite-' + Date.now());
+  emit({ type: 'stage', message: `Suite "${suite.name}": ${suite.recordings.length} recording(s), ${parallel} at a time` });
+  const perRecording = await mapWithConcurrency(suite.recordings, parallel, (recording, i) => runRecording(recording, {
+    settings,
+    apiKey,
+    outDir,
+    framesDir: path.join(framesRoot, String(i + 1)),
+    keepFrames,
+    onProgress,
+  }));
+  if (!keepFrames) removeFramesDir(framesRoot, onWarning);
+
+  const entries = perRecording.flat();
+  const csvPath = path.join(outDir, 'results.csv');
+  for (const entry of entries) {
+    if (entry.output) appendResultsToCsv(csvPath, buildCsvRows(entry.output));
+  }
+
+  const outputs = entries.filter((e) => e.output).map((e) => e.output);
+  const totals = { results: entries.length, errors: 0, pass: 0, fail: 0, uncertain: 0, missing: 0 };
+  const results = entries.map((entry) => {
+    if (entry.error) {
+      totals.errors += 1;
+      return { recording: entry.recording, video: entry.video, assertions: entry.assertions, error: entry.error };
+    }
+    const verdicts = countVerdicts(entry.output);
+    for (const [verdict, n] of Object.entries(verdicts)) totals[verdict] += n;
+    return {
+      recording: entry.recording,
+      video: entry.video,
+      assertions: entry.assertions,
+      resultPath: path.relative(outDir, entry.resultPath),
+      verdicts,
+      ...(entry.output.scoring ? { accuracy: entry.output.scoring.accuracy } : {}),
+    };
+  });
+
+  const completedAt = new Date();
+  const summary = {
+    name: suite.name,
+    startedAt: startedAt.toISOString(),
+    completedAt: completedAt.toISOString(),
+    durationMs: completedAt.getTime() - startedAt.getTime(),
+    settings,
+    totals,
+    // Same rule as --fail-on fail, so the summary and the exit code agree.
+    passed: totals.errors === 0 && outputs.every((output) => checkPolicy(output, SUITE_PASS_POLICY).passed),
+    results,
+  };
+  fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify(summary, null, 2), 'utf8');
+  return { summary, outputs };
+}
+
+/**
+ * Text table of a suite summary: one line per recording × assertions file.
+ * @param {object} summary
+ * @returns {string}
+ */
+function formatSuiteSummary(summary) {
+  const lines = summary.results.map((r) => {
+    const name = `${r.recording} / ${path.basename(r.assertions)}`;
+    if (r.error) return `${name}: ERROR ${r.error}`;
+    const v = r.verdicts;
+    const accuracy = r.accuracy != null ? `, accuracy ${r.accuracy}` : '';
+    return `${name}: ${v.pass} pass, ${v.fail} fail, ${v.uncertain} uncertain, ${v.missing} missing${accuracy}`;
+  });
+  const t = summary.totals;
+  lines.push('');
+  lines.push(`Suite ${summary.name}: ${t.results} result(s), ${t.errors} error(s); ${t.pass} pass, ${t.fail} fail, ${t.uncertain} uncertain, ${t.missing} missing — ${summary.passed ? 'PASSED' : 'FAILED'}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_SUITE_PARALLEL,
+  loadSuite,
+  runSuite,
+  formatSuiteSummary,
+  countVerdicts,
+};
@@ -0,0 +1,138 @@
+/**
+ * Measure a timing assertion: the model names the first frame in which each of the two events is
+ * visible, and the duration is computed here from the extracted frames' timestamps.
+ *
+ * Precision: an event first visible in frame F happened after the frame shown before F, so with
+ * frames at times (fromPrev, from] and (toPrev, to] the true duration lies between
+ * toPrev - from and to - fromPrev. The verdict is only pass or fail when the whole range is on one
+ * side of the bounds; otherwise it is uncertain (a higher fps narrows the range).
+ */
+
+/**
+ * Frame an event refers to: its frameIndex when that frame was extracted, otherwise the frame
+ * closest to its timestamp.
+ */
+function resolveFrame(event, frames, allFrames) {
+  if (event.frameIndex != null) {
+    const exact = allFrames.find((f) => f.frameIndex === event.frameIndex);
+    if (exact) return exact;
+  }
+  if (event.timestampSeconds == null || frames.length === 0) return null;
+  return frames.reduce((best, f) => (
+    Math.abs(f.timestampSeconds - event.timestampSeconds) < Math.abs(best.timestampSeconds - event.timestampSeconds) ? f : best
+  ));
+}
+
+/** Last frame the model was shown before t, or null. */
+function previousFrame(frames, t) {
+  let prev = null;
+  for (const f of frames) {
+    if (f.timestampSeconds < t) prev = f;
+  }
+  return prev;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Duration between two events seen on frames, with the range it can really have: the earliest
+ * possible is from the "from" frame to the frame shown before "to", the latest from the frame shown
+ * before "from" to the "to" frame.
+ * @param {{ timestampSeconds: number | null, frameIndex?: number }} from
+ * @param {{ timestampSeconds: number | null, frameIndex?: number }} to
+ * @param {{ shown: Array<{ frameIndex: number, timestampSeconds: number }>, all: Array<{ frameIndex: number, timestampSeconds: number }> }} frames
+ * @returns {{ fromSeconds: number, toSeconds: number, measuredSeconds: number, minPossibleSeconds: number, maxPossibleSeconds: number | null } | null}
+ *   null when an event cannot be matched to a frame; maxPossibleSeconds is null when "from" is
+ *   already visible in the first frame shown (its start is unknown).
+ */
+function possibleDuration(from, to, frames) {
+  const fromFrame = resolveFrame(from, frames.shown, frames.all);
+  const toFrame = resolveFrame(to, frames.shown, frames.all);
+  if (!fromFrame || !toFrame) return null;
+  const fromPrev = previousFrame(frames.shown, fromFrame.timestampSeconds);
+  const toPrev = previousFrame(frames.shown, toFrame.timestampSeconds);
+  return {
+    fromSeconds: fromFrame.timestampSeconds,
+    toSeconds: toFrame.timestampSeconds,
+    measuredSeconds: round(toFrame.timestampSeconds - fromFrame.timestampSeconds),
+    minPossibleSeconds: toPrev ? round(Math.max(0, toPrev.timestampSeconds - fromFrame.timestampSeconds)) : 0,
+    maxPossibleSeconds: fromPrev ? round(toFrame.timestampSeconds - fromPrev.timestampSeconds) : null,
+  };
+}
+
+/**
+ * @param {{ minSeconds: number | null, maxSeconds: number | null }} timing - Normalized timing (see assertions.js).
+ * @param {{ from: object | null, to: object | null }} events - Normalized events from the model:
+ *   { observed, timestampSeconds, frameIndex?, description, hallucinated? } each.
+ * @param {object} frames
+ * @param {Array<{ frameIndex: number, timestampSeconds: number }>} frames.shown - Frames the model was shown, in order.
+ * @param {Array<{ frameIndex: number, timestampSeconds: number }>} frames.all - Every extracted frame.
+ * @returns {{ result: 'pass' | 'fail' | 'uncertain' | 'not-measured', reason: string, fromSeconds: number | null, toSeconds: number | null,
+ *   measuredSeconds: number | null, minPossibleSeconds: number | null, maxPossibleSeconds: number | null, minSeconds: number | null, maxSeconds: number | null }}
+ *   fromSeconds / toSeconds are frame timestamps; maxPossibleSeconds is null when the start event
+ *   is already visible in the first frame shown (its start is unknown).
+ */
+function measureTiming(timing, events, frames) {
+  const measurement = {
+    result: 'not-measured',
+    reason: '',
+    fromSeconds: null,
+    toSeconds: null,
+    measuredSeconds: null,
+    minPossibleSeconds: null,
+    maxPossibleSeconds: null,
+    minSeconds: timing.minSeconds,
+    maxSeconds: timing.maxSeconds,
+  };
+
+  for (const key of ['from', 'to']) {
+    const event = events[key];
+    if (!event || !event.observed || event.hallucinated) {
+      measurement.reason = `"${key}" event was not observed`;
+      return measurement;
+    }
+  }
+  const duration = possibleDuration(events.from, events.to, frames);
+  if (!duration) {
+    measurement.reason = 'events could not be matched to frames';
+    return measurement;
+  }
+
+  measurement.fromSeconds = duration.fromSeconds;
+  measurement.toSeconds = duration.toSeconds;
+  measurement.measuredSeconds = duration.measuredSeconds;
+  if (measurement.measuredSeconds < 0) {
+    measurement.result = 'uncertain';
+    measurement.reason = `"to" event (t=${measurement.toSeconds}s) is before the "from" event (t=${measurement.fromSeconds}s)`;
+    return measurement;
+  }
+
+  const low = duration.minPossibleSeconds;
+  const high = duration.maxPossibleSeconds;
+  measurement.minPossibleSeconds = low;
+  measurement.maxPossibleSeconds = high;
+
+  const fails = (timing.maxSeconds != null && low > timing.maxSeconds)
+    || (timing.minSeconds != null && high != null && high < timing.minSeconds);
+  const passes = (timing.maxSeconds == null || (high != null && high <= timing.maxSeconds))
+    && (timing.minSeconds == null || low >= timing.minSeconds);
+  const range = `${low}s–${high ?? '?'}s`;
+  if (fails) {
+    measurement.result = 'fail';
+    measurement.reason = `measured ${measurement.measuredSeconds}s (possible ${range}) is outside the bounds`;
+  } else if (passes) {
+    measurement.result = 'pass';
+    measurement.reason = `measured ${measurement.measuredSeconds}s (possible ${range}) is within the bounds`;
+  } else {
+    measurement.result = 'uncertain';
+    measurement.reason = `measured ${measurement.measuredSeconds}s, but the possible range ${range} crosses a bound; sample more frames`;
+  }
+  return measurement;
+}
+
+module.exports = {
+  measureTiming,
+  possibleDuration,
+};
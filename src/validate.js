@@ -0,0 +1,159 @@
+/**
+ * Library API: validate a recording in-process and get the output document back.
+ *
+ *   const { validate } = require('ux-assertion-video-validator');
+ *   const output = await validate({
+ *     video: 'recordings/wa-text.mp4',
+ *     assertions: 'assertions/wa-text/qa-1.json',
+ *     settings: { strategy: 'single' },
+ *     onProgress: (event) => console.log(event.type),
+ *   });
+ *
+ * Unusable input throws a ValidatorError (see errors.js); model call failures do not throw, they
+ * are recorded in the output like on the CLI.
+ *
+ * Cancellation: when opts.signal is aborted during frame extraction, validate throws a
+ * CancelledError. Aborted later, in-flight model calls are cancelled and validate still resolves
+ * (and writes the files asked for) with the assertions evaluated so far; the others are missing
+ * and `run.cancelled` gives the reason.
+ *
+ * validate() prints nothing. Progress events passed to onProgress, in order:
+ * - { type: 'assertions-loaded', count }
+ * - { type: 'extraction-progress', framesWritten, percent } while ffmpeg runs
+ * - { type: 'frames-extracted', count, rawFrameCount, durationSeconds }
+ * - { type: 'run-started', run, runs } (several runs only), { type: 'call-started' | 'call-retry' | 'call-completed', call, ... },
+ *   { type: 'assertion-completed', assertionId, verdict, ... } from the pipeline (see claudeAgent.js)
+ *   and { type: 'segments-located', segments } with segmentSteps (see runner.js)
+ * - { type: 'output-written', path } / { type: 'csv-written', path, rows } / { type: 'report-written', format, path }
+ *   (only for the files asked for)
+ * - { type: 'completed', durationMs, cancelled }
+ * Along the way: { type: 'stage', message } when a stage starts, { type: 'info', message } for
+ * summaries (consensus, scoring, …) and { type: 'warning', message } for problems that do not stop
+ * the run: settings and assertions file warnings, failed calls, missing evaluations, a CSV that could not be written, …
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSettings } = require('../config/settings');
+const { loadAssertions, parseAssertions } = require('./assertions');
+const { checkSettings, createRunProvider, prepareFrames, evaluateRecording, removeFramesDir } = require('./runner');
+const { appendResultsToCsv, buildCsvRows } = require('./csvResults');
+const { writeHtmlReport } = require('./htmlReport');
+const { buildJunitXml } = require('./junit');
+const { AssertionsError, VideoError } = require('./errors');
+
+/**
+ * Validate assertions against a screen recording.
+ * @param {object} opts
+ * @param {string} opts.video - Path to the recording.
+ * @param {string | Array<object> | object} opts.assertions - Path to an assertions file, or its parsed content.
+ * @param {object} [opts.settings] - Settings overrides, applied over the config file and env (see config/settings.js).
+ * @param {string} [opts.apiKey] - Default: ANTHROPIC_API_KEY from the environment.
+ * @param {string} [opts.output] - Also write the output JSON to this file.
+ * @param {string} [opts.csv] - Append one row per assertion to this CSV file.
+ * @param {{ html?: string, junit?: string }} [opts.reports] - Report files to write.
+ * @param {string} [opts.framesDir] - Directory for extracted frames (default: tmp/frames-<timestamp>).
+ * @param {boolean} [opts.keepFrames] - Keep the extracted frames after the run.
+ * @param {(event: object) => void} [opts.onProgress]
+ * @param {AbortSignal} [opts.signal] - Cancels the run (e.g. Ctrl-C or a timeout).
+ * @returns {Promise<object>} Output document (see output.js).
+ * @throws {SettingsError | AssertionsError | VideoError | CancelledError}
+ */
+async function validate(opts) {
+  const {
+    video,
+    assertions: assertionsInput,
+    settings: overrides = {},
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    reports = {},
+    keepFrames = false,
+    onProgress,
+    signal,
+  } = opts;
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  const onWarning = (message) => emit({ type: 'warning', message });
+  const startedAt = new Date();
+
+  const settings = loadSettings(overrides, { onWarning });
+  checkSettings(settings);
+  const provider = createRunProvider(settings, { apiKey });
+
+  if (!video) throw new VideoError('"video" is required');
+  if (assertionsInput == null) throw new AssertionsError('"assertions" is required');
+  const videoPath = path.resolve(video);
+  const assertionsPath = typeof assertionsInput === 'string' ? path.resolve(assertionsInput) : null;
+  const assertions = assertionsPath
+    ? loadAssertions(assertionsPath, { onWarning })
+    : parseAssertions(assertionsInput, undefined, { onWarning });
+  if (assertions.length === 0) throw new AssertionsError(`No assertions found in ${assertionsPath || 'assertions'}`);
+  emit({ type: 'assertions-loaded', count: assertions.length });
+
+  const framesDir = opts.framesDir ? path.resolve(opts.framesDir) : path.join(process.cwd(), 'tmp', 'frames-' + Date.now());
+  try {
+    const extraction = await prepareFrames({ videoPath, settings, framesDir, onProgress: emit, signal });
+    emit({
+      type: 'frames-extracted',
+      count: extraction.frames.length,
+      rawFrameCount: extraction.rawFrameCount,
+      durationSeconds: extraction.durationSeconds,
+    });
+
+    const output = await evaluateRecording({
+      provider,
+      settings,
+      videoPath,
+      assertionsPath,
+      assertions,
+      extraction,
+      startedAt,
+      onProgress: emit,
+      signal,
+    });
+
+    if (opts.output) {
+      const outPath = path.resolve(opts.output);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, JSON.stringify(output, null, 2), 'utf8');
+      emit({ type: 'output-written', path: outPath });
+    }
+
+    if (opts.csv) {
+      // One row per assertion, appended so results from many runs accumulate in one file.
+      const csvPath = path.resolve(opts.csv);
+      const rows = buildCsvRows(output);
+      try {
+        appendResultsToCsv(csvPath, rows);
+        emit({ type: 'csv-written', path: csvPath, rows: rows.length });
+      } catch (e) {
+        onWarning(`could not write CSV: ${e.message}`);
+      }
+    }
+
+    if (reports.html) {
+      const reportPath = await writeHtmlReport({
+        output,
+        frames: extraction.frames,
+        outPath: path.resolve(reports.html),
+        workDir: framesDir,
+      });
+      emit({ type: 'report-written', format: 'html', path: reportPath });
+    }
+    if (reports.junit) {
+      const reportPath = path.resolve(reports.junit);
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(reportPath, buildJunitXml(output), 'utf8');
+      emit({ type: 'report-written', format: 'junit', path: reportPath });
+    }
+
+    emit({ type: 'completed', durationMs: Date.now() - startedAt.getTime(), cancelled: Boolean(output.run.cancelled) });
+    return output;
+  } finally {
+    if (!keepFrames) removeFramesDir(framesDir, onWarning);
+  }
+}
+
+module.exports = {
+  validate,
+};
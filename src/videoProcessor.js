@@ -1,17 +1,22 @@
 /**
  * Video processing: extract frames at configurable fps and get duration.
  * Uses ffmpeg (ffmpeg-static) to sample frames with timestamps.
+ * Supports uniform sampling and adaptive (scene-change-aware) selection of the extracted frames.
  */
 
 const path = require('path');
 const fs = require('fs');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
+const { CancelledError, getAbortReason } = require('./errors');
 
 if (ffmpegPath) {
   ffmpeg.setFfmpegPath(ffmpegPath);
 }
 
+/** Width/height of the grayscale thumbnail used to compare frames in adaptive mode. */
+const SIGNATURE_SIZE = 32;
+
 /**
  * Get video duration in seconds.
  * @param {string} videoPath - Path to MP4 file.
@@ -28,16 +33,141 @@ function getVideoDuration(videoPath) {
   });
 }
 
+/**
+ * Compute a small grayscale signature per extracted frame (SIGNATURE_SIZE x SIGNATURE_SIZE bytes).
+ * Reads the frame PNGs rather than decoding the video again, so signature i is frame i.
+ * @param {string} framePattern - ffmpeg image sequence pattern of the frames (e.g. frame_%04d.png).
+ * @param {string} outPath - Path of the raw signature file to write.
+ * @param {{ signal?: AbortSignal }} [options] - signal stops ffmpeg; the promise rejects with a CancelledError.
+ * @returns {Promise<Buffer[]>} One buffer per frame.
+ */
+function computeFrameSignatures(framePattern, outPath, options = {}) {
+  const { signal } = options;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CancelledError(getAbortReason(signal)));
+    }
+    const cmd = ffmpeg(framePattern)
+      .outputOptions([
+        '-vf', `scale=${SIGNATURE_SIZE}:${SIGNATURE_SIZE},format=gray`,
+        // One signature per input image: no frames duplicated or dropped to fit a frame rate.
+        '-vsync', 'passthrough',
+        '-f', 'rawvideo',
+      ])
+      .output(outPath)
+      .on('error', (err) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(signal && signal.aborted ? new CancelledError(getAbortReason(signal), { cause: err }) : err);
+      })
+      .on('end', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        try {
+          const buf = fs.readFileSync(outPath);
+          const size = SIGNATURE_SIZE * SIGNATURE_SIZE;
+          const signatures = [];
+          for (let offset = 0; offset + size <= buf.length; offset += size) {
+            signatures.push(buf.subarray(offset, offset + size));
+          }
+          resolve(signatures);
+        } catch (err) {
+          reject(err);
+        }
+      });
+
+    function onAbort() {
+      cmd.kill('SIGKILL');
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    cmd.run();
+  });
+}
+
+/**
+ * Mean absolute pixel difference between two signatures, normalized to 0-1.
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {number}
+ */
+function signatureDiff(a, b) {
+  if (!a || !b || a.length !== b.length) return 1;
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / (a.length * 255);
+}
+
+/**
+ * Pick frames around visual transitions and drop near-duplicate static frames.
+ * A frame is kept when it differs from the last kept frame by at least changeThreshold; the frame
+ * just before it is kept too, so both the settled state and the new state are represented.
+ * First and last frames are always kept. If the selection exceeds maxFrames, the changes with the
+ * largest scores win, each with its before and after frame, so no state is sent without the one
+ * it changed from.
+ * @param {Array<{ framePath: string, timestampSeconds: number, frameIndex: number }>} frames
+ * @param {Buffer[]} signatures - One signature per frame (same order).
+ * @param {{ changeThreshold: number, maxFrames: number }} opts
+ * @returns {typeof frames} Selected frames in time order.
+ */
+function selectAdaptiveFrames(frames, signatures, opts) {
+  const { changeThreshold, maxFrames } = opts;
+  if (frames.length <= 2) return frames;
+
+  // score = how much frame i changed vs. the previous raw frame
+  const scores = frames.map((_, i) => (i === 0 ? 1 : signatureDiff(signatures[i - 1], signatures[i])));
+  const anchors = [0, frames.length - 1];
+  const selected = new Set(anchors);
+  // Frame index of each change; the change keeps that frame and the one before it.
+  const changes = [];
+  let lastKept = 0;
+  for (let i = 1; i < frames.length; i++) {
+    if (signatureDiff(signatures[lastKept], signatures[i]) >= changeThreshold) {
+      changes.push(i);
+      selected.add(i - 1);
+      selected.add(i);
+      lastKept = i;
+    }
+  }
+
+  if (maxFrames && selected.size > maxFrames) {
+    selected.clear();
+    anchors.forEach((i) => selected.add(i));
+    const ranked = changes.slice().sort((a, b) => scores[b] - scores[a] || a - b);
+    for (const i of ranked) {
+      const added = [i - 1, i].filter((j) => !selected.has(j));
+      // A change that no longer fits is skipped; a smaller one sharing a kept frame may still fit.
+      if (selected.size + added.length > maxFrames) continue;
+      added.forEach((j) => selected.add(j));
+    }
+  }
+  return Array.from(selected).sort((a, b) => a - b).map((i) => frames[i]);
+}
+
 /**
  * Extract frames from video at given fps. Each frame is saved as PNG with a predictable name
  * so we can map frame index to timestamp. Returns list of { framePath, timestampSeconds, frameIndex }.
+ * In adaptive mode the raw frames are reduced to those around visual changes; frameIndex and
+ * timestampSeconds still refer to the raw fps grid.
  * @param {string} videoPath - Path to MP4 file.
  * @param {number} fps - Frames per second (e.g. 1 = one frame per second).
  * @param {string} outDir - Directory to write frame PNGs (created if needed).
- * @returns {Promise<{ durationSeconds: number, frames: Array<{ framePath: string, timestampSeconds: number, frameIndex: number }> }>}
+ * @param {object} [options]
+ * @param {string} [options.sampling] - 'uniform' (default) | 'adaptive'.
+ * @param {number} [options.changeThreshold] - Adaptive: min normalized diff (0-1) that counts as a visual change.
+ * @param {number} [options.maxFrames] - Adaptive: max frames to keep.
+ * @param {(event: { type: 'extraction-progress', framesWritten: number, percent: number | null }) => void} [options.onProgress]
+ *   Called as ffmpeg writes frames (percent of the video processed, when ffmpeg knows the duration).
+ * @param {AbortSignal} [options.signal] - Stops ffmpeg; the promise rejects with a CancelledError.
+ * @returns {Promise<{ durationSeconds: number, rawFrameCount: number, frames: Array<{ framePath: string, timestampSeconds: number, frameIndex: number }> }>}
  */
-function extractFrames(videoPath, fps, outDir) {
+function extractFrames(videoPath, fps, outDir, options = {}) {
+  const sampling = options.sampling || 'uniform';
+  const { onProgress, signal } = options;
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CancelledError(getAbortReason(signal)));
+    }
     if (!fs.existsSync(videoPath)) {
       return reject(new Error(`Video file not found: ${videoPath}`));
     }
@@ -57,34 +187,84 @@ function extractFrames(videoPath, fps, outDir) {
       ])
       .output(framePattern)
       .on('start', (cmdLine) => {})
-      .on('error', (err) => reject(err))
+      .on('progress', (p) => {
+        if (onProgress) {
+          onProgress({ type: 'extraction-progress', framesWritten: p.frames || 0, percent: p.percent != null ? Math.round(p.percent) : null });
+        }
+      })
+      .on('error', (err) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(signal && signal.aborted ? new CancelledError(getAbortReason(signal), { cause: err }) : err);
+      })
       .on('end', async () => {
-        const duration = await getVideoDuration(videoPath).catch(() => 0);
-        const frameFiles = fs.readdirSync(outDir)
-          .filter((f) => f.startsWith('frame_') && f.endsWith('.png'))
-          .sort();
-
-        const frames = frameFiles.map((name, index) => {
-          const framePath = path.join(outDir, name);
-          // timestamp = index / fps (e.g. index 0 -> 0s, index 1 -> 1s at 1fps)
-          const timestampSeconds = index / fps;
-          return {
-            framePath,
-            timestampSeconds,
-            frameIndex: index,
-          };
-        });
-
-        resolve({
-          durationSeconds: duration,
-          frames,
-        });
+        if (signal) signal.removeEventListener('abort', onAbort);
+        try {
+          const duration = await getVideoDuration(videoPath).catch(() => 0);
+          const frameFiles = fs.readdirSync(outDir)
+            .filter((f) => f.startsWith('frame_') && f.endsWith('.png'))
+            .sort();
+
+          const rawFrames = frameFiles.map((name, index) => {
+            const framePath = path.join(outDir, name);
+            // timestamp = index / fps (e.g. index 0 -> 0s, index 1 -> 1s at 1fps)
+            const timestampSeconds = index / fps;
+            return {
+              framePath,
+              timestampSeconds,
+              frameIndex: index,
+            };
+          });
+
+          let frames = rawFrames;
+          if (sampling === 'adaptive') {
+            const signatures = await computeFrameSignatures(framePattern, path.join(outDir, 'signatures.gray'), { signal });
+            if (signatures.length !== rawFrames.length) {
+              // Unmatched frames would all count as changes and adaptive selection would rank noise.
+              throw new Error(`Got ${signatures.length} frame signature(s) for ${rawFrames.length} extracted frame(s)`);
+            }
+            frames = selectAdaptiveFrames(rawFrames, signatures, {
+              changeThreshold: options.changeThreshold,
+              maxFrames: options.maxFrames,
+            });
+          }
+
+          resolve({
+            durationSeconds: duration,
+            rawFrameCount: rawFrames.length,
+            frames,
+          });
+        } catch (err) {
+          reject(err);
+        }
       });
 
+    function onAbort() {
+      cmd.kill('SIGKILL');
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
     cmd.run();
   });
 }
 
+/**
+ * Write a scaled-down JPEG copy of a frame (for embedding in reports).
+ * @param {string} framePath - Source frame image.
+ * @param {string} outPath - JPEG to write.
+ * @param {number} width - Thumbnail width in pixels; height keeps the aspect ratio.
+ * @returns {Promise<string>} outPath
+ */
+function createThumbnail(framePath, outPath, width) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(framePath)
+      .outputOptions(['-vf', `scale=${width}:-2`, '-frames:v', '1', '-q:v', '4'])
+      .output(outPath)
+      .on('error', (err) => reject(err))
+      .on('end', () => resolve(outPath))
+      .run();
+  });
+}
+
 /**
  * Read a file and return base64-encoded string (for sending images to Claude).
  * @param {string} filePath
@@ -98,5 +278,9 @@ function readFileAsBase64(filePath) {
 module.exports = {
   getVideoDuration,
   extractFrames,
+  computeFrameSignatures,
+  selectAdaptiveFrames,
+  signatureDiff,
+  createThumbnail,
   readFileAsBase64,
 };
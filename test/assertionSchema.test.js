@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintAssertionsSource } = require('../src/assertionSchema');
+const { parseAssertions } = require('../src/assertions');
+const { AssertionsError } = require('../src/errors');
+
+test('a valid assertions file has no problems', () => {
+  assert.deepEqual(lintAssertionsSource('[{ "id": "a1", "text": "The send button is visible" }]').problems, []);
+});
+
+test('schema errors point at the property with its line and column', () => {
+  const source = '[\n  { "id": "a1", "text": 5, "type": "odd" }\n]';
+  const { problems } = lintAssertionsSource(source);
+  assert.deepEqual(problems.map((p) => [p.severity, p.path, p.line, p.message]), [
+    ['error', '/0/text', 2, 'must be string'],
+    ['error', '/0/type', 2, 'must be one of: concrete, subjective, behavioral, flow, timing'],
+  ]);
+  assert.ok(problems[0].column < problems[1].column);
+});
+
+test('a missing id is a warning, an unknown property an error', () => {
+  const { problems } = lintAssertionsSource('[{"text":"x", "extra": 1}]');
+  assert.deepEqual(problems.map((p) => [p.severity, p.path]), [['warning', '/0'], ['error', '/0/extra']]);
+});
+
+test('source that is not JSON is one error at the root', () => {
+  const { problems } = lintAssertionsSource('[{');
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].path, '/');
+  assert.match(problems[0].message, /^invalid JSON/);
+});
+
+test('parseAssertions throws an AssertionsError listing the schema errors', () => {
+  assert.throws(() => parseAssertions([{ text: 5 }]), (err) => {
+    assert.ok(err instanceof AssertionsError);
+    assert.equal(err.code, 'INVALID_ASSERTIONS');
+    assert.deepEqual(err.problems.map((p) => p.path), ['/0/text']);
+    return true;
+  });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCacheKey } = require('../src/cache');
+
+function request(overrides = {}) {
+  return {
+    model: 'claude-sonnet-4-5',
+    maxTokens: 8192,
+    system: 'You are a QA engineer.',
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Frame 0 (t=0.0s)' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+      ],
+    }],
+    meta: { label: 'single', assertionId: 'a1' },
+    ...overrides,
+  };
+}
+
+test('the same request gets the same key', () => {
+  assert.equal(getCacheKey(request(), 'anthropic'), getCacheKey(request(), 'anthropic'));
+});
+
+test('the key depends on the provider', () => {
+  assert.notEqual(getCacheKey(request(), 'mock'), getCacheKey(request(), 'anthropic'));
+});
+
+test('the key depends on maxTokens', () => {
+  assert.notEqual(getCacheKey(request({ maxTokens: 1 }), 'anthropic'), getCacheKey(request({ maxTokens: 9999 }), 'anthropic'));
+});
+
+test('the key depends on model, system prompt and image data', () => {
+  const base = getCacheKey(request(), 'anthropic');
+  assert.notEqual(getCacheKey(request({ model: 'claude-haiku-4-5' }), 'anthropic'), base);
+  assert.notEqual(getCacheKey(request({ system: 'You are a designer.' }), 'anthropic'), base);
+  const otherImage = request();
+  otherImage.messages[0].content[1].source.data = 'R0lGODlh';
+  assert.notEqual(getCacheKey(otherImage, 'anthropic'), base);
+});
+
+test('repeated runs get their own key; run 0 keeps the plain key', () => {
+  const plain = getCacheKey(request(), 'anthropic');
+  assert.equal(getCacheKey(request({ meta: { label: 'single', run: 0 } }), 'anthropic'), plain);
+  assert.notEqual(getCacheKey(request({ meta: { label: 'single', run: 2 } }), 'anthropic'), plain);
+});
+
+test('labels, signals and callbacks are not part of the key', () => {
+  const plain = getCacheKey(request(), 'anthropic');
+  const withExtras = request({ meta: { label: 'batch' }, signal: new AbortController().signal, onRetry: () => {} });
+  assert.equal(getCacheKey(withExtras, 'anthropic'), plain);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffResults, formatDiff } = require('../src/diff');
+
+function outputWith(steps) {
+  return {
+    testSteps: Object.entries(steps).map(([id, assertions]) => ({
+      id,
+      assertions: assertions.map(([assertionId, verdict]) => ({ id: assertionId, text: assertionId, verdict, confidence: 0.9, evidence: [] })),
+    })),
+  };
+}
+
+test('assertions are matched by id across steps', () => {
+  const diff = diffResults(
+    outputWith({ 'step-1': [['a1', 'pass']], 'step-2': [['a2', 'fail']] }),
+    outputWith({ 'step-1': [['a1', 'fail']], 'step-2': [['a3', 'pass']] }),
+  );
+  assert.deepEqual(diff.assertions.map((x) => [x.id, x.regression]), [['a1', true]]);
+  assert.deepEqual(diff.addedIds, ['a3']);
+  assert.deepEqual(diff.removedIds, ['a2']);
+  assert.deepEqual(diff.duplicateIds, { before: [], after: [] });
+});
+
+test('an id reused in a later step does not replace the first assertion with it', () => {
+  const diff = diffResults(
+    outputWith({ 'step-1': [['a1', 'pass']], 'step-2': [['a1', 'fail']] }),
+    outputWith({ 'step-1': [['a1', 'pass']] }),
+  );
+  assert.equal(diff.assertions.length, 1);
+  assert.equal(diff.assertions[0].stepId, 'step-1');
+  assert.equal(diff.assertions[0].verdictChanged, false);
+  assert.deepEqual(diff.duplicateIds, { before: ['a1'], after: [] });
+  assert.match(formatDiff(diff), /Warning: baseline reuses id\(s\) a1; only the first of each is compared/);
+});
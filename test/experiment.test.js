@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expandMatrix } = require('../src/experiment');
+
+function matrix(overrides = {}) {
+  return {
+    name: 'm',
+    videos: ['/data/wa-text/recording.mp4'],
+    assertions: ['/data/assertions/wa-text/oneStepConcrete.json'],
+    strategies: [],
+    personas: [],
+    fps: [],
+    models: [],
+    settings: {},
+    ...overrides,
+  };
+}
+
+test('cell ids name each file with its parent directory and the matrix values', () => {
+  const cells = expandMatrix(matrix({ strategies: ['single', 'two-pass'], fps: [2] }));
+  assert.deepEqual(cells.map((c) => c.id), [
+    'wa-text-recording__wa-text-oneStepConcrete__single__fps2',
+    'wa-text-recording__wa-text-oneStepConcrete__two-pass__fps2',
+  ]);
+  assert.deepEqual(cells[1].overrides, { strategy: 'two-pass', fps: 2 });
+});
+
+test('files with the same name in different directories get different ids', () => {
+  const cells = expandMatrix(matrix({
+    videos: ['/data/wa-text/recording.mp4', '/data/wa-del-msg/recording.mp4'],
+    assertions: ['/data/assertions/wa-text/oneStepConcrete.json', '/data/assertions/wa-del-msg/oneStepConcrete.json'],
+  }));
+  assert.equal(cells.length, 4);
+  assert.equal(new Set(cells.map((c) => c.id)).size, 4);
+});
+
+test('a matrix that gives two cells the same id is rejected', () => {
+  assert.throws(
+    () => expandMatrix(matrix({ strategies: ['single', 'single'] })),
+    /two cells with id "wa-text-recording__wa-text-oneStepConcrete__single"/,
+  );
+});
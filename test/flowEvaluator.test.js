@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkFlow, formatFlowFailure } = require('../src/flowEvaluator');
+
+const flow = [
+  { step: 1, state: 'Chat list', maxDelaySeconds: null },
+  { step: 2, state: 'Chat open', maxDelaySeconds: 2 },
+  { step: 3, state: 'Message sent', maxDelaySeconds: null },
+];
+
+function seen(step, timestampSeconds, extra = {}) {
+  return { step, observed: true, timestampSeconds, description: `step ${step}`, ...extra };
+}
+
+test('states seen in order within their delays pass', () => {
+  const result = checkFlow(flow, [seen(1, 1), seen(2, 2.5), seen(3, 10)]);
+  assert.equal(result.passed, true);
+  assert.equal(result.firstFailedStep, null);
+  assert.deepEqual(result.steps.map((s) => s.status), ['ok', 'ok', 'ok']);
+  assert.deepEqual(result.steps.map((s) => s.delaySeconds), [null, 1.5, 7.5]);
+});
+
+test('observations are matched by step number, not by position', () => {
+  const result = checkFlow(flow, [seen(3, 10), seen(1, 1), seen(2, 2)]);
+  assert.equal(result.passed, true);
+});
+
+test('a state that was not seen fails at the time of the last state seen', () => {
+  const result = checkFlow(flow, [seen(1, 4), { step: 2, observed: false, timestampSeconds: null, description: '' }, seen(3, 8)]);
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.firstFailedStep, {
+    step: 2,
+    state: 'Chat open',
+    reason: 'not-observed',
+    timestampSeconds: 4,
+    detail: 'not observed after step 1 (t=4s)',
+  });
+  // Nothing after the first failure is checked.
+  assert.deepEqual(result.steps.map((s) => s.status), ['ok', 'failed', 'not-checked']);
+});
+
+test('a missing first state fails with no time', () => {
+  const result = checkFlow(flow, [seen(2, 2), seen(3, 3)]);
+  assert.equal(result.firstFailedStep.step, 1);
+  assert.equal(result.firstFailedStep.reason, 'not-observed');
+  assert.equal(result.firstFailedStep.timestampSeconds, null);
+});
+
+test('a state seen before the previous one is out of order', () => {
+  const result = checkFlow(flow, [seen(1, 5), seen(2, 3), seen(3, 8)]);
+  assert.equal(result.firstFailedStep.reason, 'out-of-order');
+  assert.equal(result.firstFailedStep.timestampSeconds, 3);
+  assert.equal(result.steps[1].delaySeconds, -2);
+});
+
+test('a state seen after its max delay is too slow, failing at the deadline', () => {
+  const result = checkFlow(flow, [seen(1, 1.25), seen(2, 4), seen(3, 8)]);
+  assert.equal(result.firstFailedStep.reason, 'too-slow');
+  assert.equal(result.firstFailedStep.timestampSeconds, 3.25);
+  assert.equal(result.steps[1].delaySeconds, 2.75);
+  assert.equal(formatFlowFailure(result.firstFailedStep), 'step 2 "Chat open" too-slow at t=3.25s: observed 2.75s after step 1 (max 2s)');
+});
+
+test('exactly the max delay still passes', () => {
+  assert.equal(checkFlow(flow, [seen(1, 1), seen(2, 3), seen(3, 4)]).passed, true);
+});
+
+test('hallucinated observations and observations without a time do not count', () => {
+  const hallucinated = checkFlow(flow, [seen(1, 1), seen(2, 2, { hallucinated: true }), seen(3, 3)]);
+  assert.equal(hallucinated.firstFailedStep.step, 2);
+  assert.equal(hallucinated.firstFailedStep.reason, 'not-observed');
+  assert.equal(hallucinated.steps[1].observed, false);
+
+  const noTime = checkFlow(flow, [seen(1, null), seen(2, 2), seen(3, 3)]);
+  assert.equal(noTime.firstFailedStep.step, 1);
+});
+
+test('an empty flow passes', () => {
+  assert.deepEqual(checkFlow([], []), { passed: true, steps: [], firstFailedStep: null });
+});
+
+/** Frames shown once a second, at t = 0..10. */
+const frames = (() => {
+  const all = Array.from({ length: 11 }, (_, i) => ({ frameIndex: i, timestampSeconds: i }));
+  return { shown: all, all };
+})();
+
+test('with frames, a delay within the max at both ends of its possible range passes', () => {
+  const result = checkFlow(flow, [seen(1, 2), seen(2, 3), seen(3, 8)], frames);
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.steps.map((s) => s.status), ['ok', 'ok', 'ok']);
+  assert.equal(result.steps[1].minPossibleDelaySeconds, 0);
+  assert.equal(result.steps[1].maxPossibleDelaySeconds, 2);
+});
+
+test('with frames, a delay whose possible range straddles the max is uncertain, not too slow', () => {
+  // Measured 3s, but the states may have appeared as little as 2s apart.
+  const result = checkFlow(flow, [seen(1, 2), seen(2, 5), seen(3, 8)], frames);
+  assert.equal(result.passed, false);
+  assert.equal(result.firstFailedStep, null);
+  assert.deepEqual(result.steps.map((s) => s.status), ['ok', 'uncertain', 'ok']);
+  assert.equal(result.steps[1].minPossibleDelaySeconds, 2);
+  assert.equal(result.steps[1].maxPossibleDelaySeconds, 4);
+});
+
+test('with frames, a delay whose earliest possible value is over the max is too slow', () => {
+  const result = checkFlow(flow, [seen(1, 2), seen(2, 6), seen(3, 8)], frames);
+  assert.equal(result.firstFailedStep.reason, 'too-slow');
+  assert.equal(result.firstFailedStep.timestampSeconds, 4);
+  assert.equal(result.firstFailedStep.detail, 'observed 4s (possible 3s–5s) after step 1 (max 2s)');
+});
+
+test('with frames, a delay from a state visible in the first frame shown is uncertain', () => {
+  const result = checkFlow(flow, [seen(1, 0), seen(2, 1), seen(3, 8)], frames);
+  assert.equal(result.steps[1].maxPossibleDelaySeconds, null);
+  assert.equal(result.steps[1].status, 'uncertain');
+});
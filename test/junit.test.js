@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPolicy } = require('../src/junit');
+const { buildOutput } = require('../src/output');
+const { parseAssertions } = require('../src/assertions');
+const { DEFAULT_SETTINGS } = require('../config/settings');
+
+/**
+ * Output document built by buildOutput for one step with these results; 'missing' results get no
+ * evaluation, as when their call failed.
+ */
+function outputWith(results, errors = []) {
+  const evidence = { timestampSeconds: 1, frameIndex: 1, description: 'frame 1' };
+  const evaluations = new Map(results
+    .filter((r) => r.verdict !== 'missing')
+    .map((r) => [r.id, { assertionId: r.id, verdict: r.verdict, confidence: r.confidence, explanation: '', evidence: [evidence], keyFrame: evidence }]));
+  const frames = [0, 1, 2].map((t) => ({ framePath: `frame-${t}.png`, timestampSeconds: t, frameIndex: t }));
+  const now = new Date();
+  return buildOutput({
+    videoPath: 'recording.mp4',
+    assertionsPath: 'assertions.json',
+    durationSeconds: 3,
+    rawFrameCount: frames.length,
+    frames,
+    settings: DEFAULT_SETTINGS,
+    assertions: parseAssertions(results.map((r) => ({ id: r.id, text: `assertion ${r.id}`, testStepId: 'step-1' }))),
+    result: { timeline: [], evaluations, calls: [], errors },
+    startedAt: now,
+    completedAt: now,
+  });
+}
+
+test('without a policy every verdict passes', () => {
+  const output = outputWith([{ id: 'a1', verdict: 'fail', confidence: 0.9 }]);
+  assert.deepEqual(checkPolicy(output), { passed: true, violations: [] });
+});
+
+test('--fail-on fail breaks on fail and missing, not on uncertain', () => {
+  const output = outputWith([
+    { id: 'a1', verdict: 'pass', confidence: 0.9 },
+    { id: 'a2', verdict: 'fail', confidence: 0.8 },
+    { id: 'a3', verdict: 'uncertain', confidence: 0.5 },
+    { id: 'a4', verdict: 'missing', confidence: 0 },
+  ]);
+  const result = checkPolicy(output, { failOn: 'fail' });
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.violations.map((v) => v.id), ['a2', 'a4']);
+});
+
+test('--fail-on uncertain also breaks on uncertain', () => {
+  const output = outputWith([
+    { id: 'a1', verdict: 'pass', confidence: 0.9 },
+    { id: 'a2', verdict: 'uncertain', confidence: 0.5 },
+    { id: 'a3', verdict: 'missing', confidence: 0 },
+  ]);
+  assert.deepEqual(checkPolicy(output, { failOn: 'uncertain' }).violations.map((v) => v.id), ['a2', 'a3']);
+});
+
+test('a run where every call failed does not pass', () => {
+  const output = outputWith(
+    [{ id: 'a1', verdict: 'missing', confidence: 0 }, { id: 'a2', verdict: 'missing', confidence: 0 }],
+    [{ label: 'batch', message: '401 invalid x-api-key' }],
+  );
+  const result = checkPolicy(output, { failOn: 'fail' });
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.violations.at(-1), { id: 'batch', verdict: null, confidence: null, reason: 'batch call failed: 401 invalid x-api-key' });
+});
+
+test('failed calls break the policy even when every verdict passes', () => {
+  // e.g. one of several consensus runs failed
+  const output = outputWith([{ id: 'a1', verdict: 'pass', confidence: 0.9 }], [{ label: 'single', assertionId: 'a1', run: 2, message: 'overloaded' }]);
+  const result = checkPolicy(output, { minConfidence: 0.5 });
+  assert.equal(result.passed, false);
+  assert.equal(result.violations[0].id, 'a1');
+});
+
+test('--min-confidence breaks on lower confidences', () => {
+  const output = outputWith([
+    { id: 'a1', verdict: 'pass', confidence: 0.6 },
+    { id: 'a2', verdict: 'pass', confidence: 0.59 },
+  ]);
+  const result = checkPolicy(output, { minConfidence: 0.6 });
+  assert.deepEqual(result.violations, [{ id: 'a2', verdict: 'pass', confidence: 0.59, reason: 'confidence 0.59 < 0.6' }]);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { evaluateRecording } = require('../src/runner');
+const { createMockProvider } = require('../src/providers');
+const { parseAssertions } = require('../src/assertions');
+const { DEFAULT_SETTINGS } = require('../config/settings');
+const sampleFixtures = require('../fixtures/mock/sample-assertion.json').responses;
+
+const ASSERTION_ID = 'step1-assertion1';
+
+/**
+ * Ten stub frames, one per second, all pointing at the same tiny file (the mock provider never
+ * looks at the images). Removed after the test.
+ */
+function stubExtraction(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const framePath = path.join(dir, 'frame.png');
+  fs.writeFileSync(framePath, Buffer.from('89504e470d0a1a0a', 'hex'));
+  const frames = Array.from({ length: 10 }, (_, i) => ({ framePath, timestampSeconds: i, frameIndex: i }));
+  return { durationSeconds: 10, rawFrameCount: frames.length, frames };
+}
+
+function assertions(extra = {}) {
+  return parseAssertions([{ id: ASSERTION_ID, text: 'The send button is visible', testStepId: 'step1', ...extra }]);
+}
+
+function evaluation(overrides = {}) {
+  return {
+    assertionId: ASSERTION_ID,
+    verdict: 'pass',
+    confidence: 0.9,
+    explanation: 'The send button appears while typing.',
+    evidence: [{ timestampSeconds: 6, frameIndex: 6, description: 'Send button in the input bar' }],
+    keyFrame: { timestampSeconds: 6, frameIndex: 6, description: 'Send button' },
+    ...overrides,
+  };
+}
+
+/** Run the pipeline through evaluateRecording with the mock provider; returns the output document. */
+function run(t, { responses, settings = {}, assertionList = assertions() }) {
+  return evaluateRecording({
+    provider: createMockProvider({ responses }),
+    settings: { ...DEFAULT_SETTINGS, maxRetries: 0, ...settings },
+    videoPath: 'recording.mp4',
+    assertionsPath: 'assertions.json',
+    assertions: assertionList,
+    extraction: stubExtraction(t),
+  });
+}
+
+const NO_VALIDATION_ISSUES = {
+  missingAssertionIds: [],
+  unknownAssertionIds: [],
+  correctedAssertionIds: [],
+  hallucinatedEvidenceCount: 0,
+  outsideWindowEvidenceCount: 0,
+};
+
+for (const [strategy, callCount] of [['single', 1], ['batch', 1], ['two-pass', 2]]) {
+  test(`${strategy}: the mock response becomes the step's assertion result`, async (t) => {
+    const output = await run(t, { responses: sampleFixtures, settings: { strategy } });
+    assert.equal(output.testSteps.length, 1);
+    assert.equal(output.testSteps[0].id, 'step1');
+    const [a] = output.testSteps[0].assertions;
+    assert.equal(a.id, ASSERTION_ID);
+    assert.equal(a.type, 'concrete');
+    assert.equal(a.verdict, 'pass');
+    assert.equal(a.confidence, 0.9);
+    assert.equal(a.evidence[0].timestampSeconds, 6);
+    assert.deepEqual(a.validation, { status: 'valid', issues: [] });
+    assert.deepEqual(output.run.errors, []);
+    assert.deepEqual(output.run.validation, NO_VALIDATION_ISSUES);
+    assert.equal(output.run.usage.totals.callCount, callCount);
+    assert.equal(output.run.settings.strategy, strategy);
+    assert.equal(output.timeline.length, strategy === 'two-pass' ? 4 : 0);
+  });
+}
+
+test('a response that is not JSON is repaired by asking again', async (t) => {
+  const output = await run(t, {
+    responses: { batch: ['Sure! Here is the result.', { evaluations: [evaluation()] }] },
+    settings: { strategy: 'batch', jsonRepairAttempts: 1 },
+  });
+  assert.equal(output.testSteps[0].assertions[0].verdict, 'pass');
+  assert.deepEqual(output.run.errors, []);
+  assert.equal(output.run.usage.totals.callCount, 2);
+});
+
+test('a failed call leaves its assertions missing and is listed in run.errors', async (t) => {
+  const output = await run(t, { responses: { timeline: sampleFixtures.timeline }, settings: { strategy: 'batch' } });
+  const [a] = output.testSteps[0].assertions;
+  assert.equal(a.verdict, 'missing');
+  assert.equal(a.confidence, 0);
+  assert.match(a.error, /no fixture response for "batch"/);
+  assert.deepEqual(output.run.errors, [{ label: 'batch', message: 'Mock provider: no fixture response for "batch"' }]);
+  assert.deepEqual(output.run.validation.missingAssertionIds, [ASSERTION_ID]);
+});
+
+test('evaluations are validated: percentages scaled, evidence outside the recording flagged, unknown ids dropped', async (t) => {
+  const output = await run(t, {
+    responses: {
+      batch: {
+        evaluations: [
+          evaluation({ confidence: 90, evidence: [{ timestampSeconds: 99, description: 'after the end' }] }),
+          evaluation({ assertionId: 'not-an-assertion' }),
+        ],
+      },
+    },
+    settings: { strategy: 'batch' },
+  });
+  const [a] = output.testSteps[0].assertions;
+  assert.equal(a.confidence, 0.9);
+  assert.equal(a.evidence[0].hallucinated, true);
+  assert.equal(a.validation.status, 'corrected');
+  assert.ok(a.validation.issues.some((issue) => /looks like a percentage/.test(issue)));
+  assert.deepEqual(output.run.validation, {
+    ...NO_VALIDATION_ISSUES,
+    unknownAssertionIds: ['not-an-assertion'],
+    correctedAssertionIds: [ASSERTION_ID],
+    hallucinatedEvidenceCount: 1,
+  });
+});
+
+test('several runs are combined by consensus', async (t) => {
+  const output = await run(t, {
+    responses: {
+      [`single.${ASSERTION_ID}`]: [
+        { evaluations: [evaluation()] },
+        { evaluations: [evaluation({ verdict: 'fail', confidence: 0.6 })] },
+        { evaluations: [evaluation()] },
+      ],
+    },
+    settings: { strategy: 'single', runs: 3 },
+  });
+  const [a] = output.testSteps[0].assertions;
+  assert.equal(a.verdict, 'pass');
+  assert.deepEqual(a.consensus.verdicts, ['pass', 'fail', 'pass']);
+  assert.equal(a.consensus.agreement, 0.667);
+  assert.deepEqual(output.run.consensus, {
+    runs: 3,
+    method: 'majority',
+    unanimousCount: 0,
+    meanAgreement: 0.667,
+    unstableAssertionIds: [ASSERTION_ID],
+  });
+  assert.equal(output.run.usage.totals.callCount, 3);
+});
+
+test('labeled assertions are scored against their expected verdict', async (t) => {
+  const output = await run(t, {
+    responses: sampleFixtures,
+    settings: { strategy: 'batch' },
+    assertionList: assertions({ expectedVerdict: 'fail' }),
+  });
+  const [a] = output.testSteps[0].assertions;
+  assert.equal(a.expectedVerdict, 'fail');
+  assert.equal(a.correct, false);
+  assert.equal(output.scoring.labeledCount, 1);
+  assert.equal(output.scoring.accuracy, 0);
+  assert.deepEqual(output.scoring.mismatches, [{ id: ASSERTION_ID, expected: 'fail', verdict: 'pass', confidence: 0.9 }]);
+});
+
+test('with segmentSteps each step is judged on its located segment', async (t) => {
+  const output = await run(t, { responses: sampleFixtures, settings: { strategy: 'batch', segmentSteps: true } });
+  const [step] = output.testSteps;
+  assert.deepEqual(step.segment, {
+    startSeconds: 3,
+    endSeconds: 10,
+    confidence: 0.8,
+    reason: 'The user opens the chat at 3s and sends the message at 9s',
+  });
+  assert.deepEqual(step.assertions[0].window, { startSeconds: 3, endSeconds: 10 });
+  assert.equal(step.assertions[0].verdict, 'pass');
+  assert.deepEqual(output.run.segmentation, { locatedStepIds: ['step1'], issues: [] });
+  assert.deepEqual(output.run.errors, []);
+});
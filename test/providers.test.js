@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProvider } = require('../src/providers');
+const { SettingsError } = require('../src/errors');
+
+function fixturesDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+test('the mock provider picks "<label>.<assertionId>", then "<label>", then "default"', async () => {
+  const provider = createMockProvider({ responses: { 'single.a1': { verdict: 'pass' }, single: 'raw text', default: {} } });
+  const send = (meta) => provider.send({ model: 'm', meta });
+  assert.equal((await send({ label: 'single', assertionId: 'a1' })).text, '{"verdict":"pass"}');
+  assert.equal((await send({ label: 'single', assertionId: 'a2' })).text, 'raw text');
+  assert.equal((await send({ label: 'batch' })).text, '{}');
+});
+
+test('array fixtures answer successive calls in turn, repeating the last', async () => {
+  const provider = createMockProvider({ responses: { batch: ['one', 'two'] } });
+  const texts = [];
+  for (let i = 0; i < 3; i++) texts.push((await provider.send({ model: 'm', meta: { label: 'batch' } })).text);
+  assert.deepEqual(texts, ['one', 'two', 'two']);
+});
+
+test('fixtures load from a directory of .json and .txt files', async (t) => {
+  const dir = fixturesDir(t, { 'describe.txt': 'not json', 'batch.json': '{"evaluations":[]}' });
+  const provider = createMockProvider({ fixturesPath: dir });
+  assert.equal((await provider.send({ model: 'm', meta: { label: 'describe' } })).text, 'not json');
+  assert.equal((await provider.send({ model: 'm', meta: { label: 'batch' } })).text, '{"evaluations":[]}');
+});
+
+test('a fixture file that is not JSON is a SettingsError naming the file', (t) => {
+  const dir = fixturesDir(t, { 'batch.json': '{ "evaluations": [' });
+  for (const fixturesPath of [dir, path.join(dir, 'batch.json')]) {
+    assert.throws(() => createMockProvider({ fixturesPath }), (err) => {
+      assert.ok(err instanceof SettingsError);
+      assert.match(err.message, /Invalid mock fixture JSON in .*batch\.json/);
+      assert.ok(err.cause instanceof SyntaxError);
+      return true;
+    });
+  }
+});
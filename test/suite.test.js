@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSuite } = require('../src/suite');
+
+/** A suite directory with the given files ({ relativePath: content }); removed after the test. */
+function suiteDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suite-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('a manifest resolves assertions directories and files against its directory', (t) => {
+  const dir = suiteDir(t, {
+    'suite.json': JSON.stringify({
+      recordings: [{ name: 'wa-text', video: 'wa-text.mp4', assertions: ['assertions/wa-text', 'extra/other.json'] }],
+    }),
+    'assertions/wa-text/qa-1.json': '[]',
+    'assertions/wa-text/qa-2.json': '[]',
+    'extra/other.json': '[]',
+  });
+  const suite = loadSuite(path.join(dir, 'suite.json'));
+  assert.deepEqual(suite.recordings[0].assertions.map((a) => path.relative(dir, a)), [
+    path.join('assertions', 'wa-text', 'qa-1.json'),
+    path.join('assertions', 'wa-text', 'qa-2.json'),
+    path.join('extra', 'other.json'),
+  ]);
+});
+
+test('two assertions files with the same name in one recording are rejected', (t) => {
+  const dir = suiteDir(t, {
+    'suite.json': JSON.stringify({
+      recordings: [{ video: 'rec.mp4', assertions: ['a/oneStepConcrete.json', 'b/oneStepConcrete.json'] }],
+    }),
+    'a/oneStepConcrete.json': '[]',
+    'b/oneStepConcrete.json': '[]',
+  });
+  assert.throws(() => loadSuite(path.join(dir, 'suite.json')), /Recording "rec" has two assertions files named "oneStepConcrete.json"/);
+});
+
+test('recording names must be unique', (t) => {
+  const dir = suiteDir(t, {
+    'suite.json': JSON.stringify({
+      recordings: [{ video: 'a/rec.mp4', assertions: 'x.json' }, { video: 'b/rec.mp4', assertions: 'x.json' }],
+    }),
+    'x.json': '[]',
+  });
+  assert.throws(() => loadSuite(path.join(dir, 'suite.json')), /Recording name "rec" is used twice/);
+});
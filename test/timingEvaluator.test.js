@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { measureTiming } = require('../src/timingEvaluator');
+
+/** Frames at 0, 1, …, count - 1 seconds. */
+function framesEverySecond(count) {
+  return Array.from({ length: count }, (_, i) => ({ frameIndex: i, timestampSeconds: i }));
+}
+
+function seen(frameIndex, extra = {}) {
+  return { observed: true, timestampSeconds: frameIndex, frameIndex, description: '', ...extra };
+}
+
+const frames = framesEverySecond(11);
+const allShown = { shown: frames, all: frames };
+
+test('range between the previous frames decides pass, fail and uncertain', () => {
+  // from first visible at 2 (so after 1), to at 5 (so after 4): 2s to 4s.
+  const events = { from: seen(2), to: seen(5) };
+
+  const pass = measureTiming({ minSeconds: null, maxSeconds: 4 }, events, allShown);
+  assert.equal(pass.result, 'pass');
+  assert.equal(pass.measuredSeconds, 3);
+  assert.equal(pass.minPossibleSeconds, 2);
+  assert.equal(pass.maxPossibleSeconds, 4);
+
+  assert.equal(measureTiming({ minSeconds: null, maxSeconds: 1.5 }, events, allShown).result, 'fail');
+  assert.equal(measureTiming({ minSeconds: 5, maxSeconds: null }, events, allShown).result, 'fail');
+  assert.equal(measureTiming({ minSeconds: 2, maxSeconds: null }, events, allShown).result, 'pass');
+});
+
+test('a bound inside the possible range is uncertain', () => {
+  const events = { from: seen(2), to: seen(5) };
+  const m = measureTiming({ minSeconds: null, maxSeconds: 3 }, events, allShown);
+  assert.equal(m.result, 'uncertain');
+  assert.match(m.reason, /crosses a bound/);
+  assert.equal(measureTiming({ minSeconds: 3, maxSeconds: null }, events, allShown).result, 'uncertain');
+});
+
+test('a start visible in the first frame has no upper bound', () => {
+  const events = { from: seen(0), to: seen(5) };
+  const withMax = measureTiming({ minSeconds: null, maxSeconds: 10 }, events, allShown);
+  assert.equal(withMax.maxPossibleSeconds, null);
+  assert.equal(withMax.minPossibleSeconds, 4);
+  // Whatever happened before the recording, it took at least 4s: a max can only fail or be uncertain.
+  assert.equal(withMax.result, 'uncertain');
+  assert.equal(measureTiming({ minSeconds: null, maxSeconds: 3 }, events, allShown).result, 'fail');
+  assert.equal(measureTiming({ minSeconds: 2, maxSeconds: null }, events, allShown).result, 'pass');
+});
+
+test('events on the same frame measure zero', () => {
+  const m = measureTiming({ minSeconds: null, maxSeconds: 1 }, { from: seen(3), to: seen(3) }, allShown);
+  assert.equal(m.measuredSeconds, 0);
+  assert.equal(m.minPossibleSeconds, 0);
+  assert.equal(m.maxPossibleSeconds, 1);
+  assert.equal(m.result, 'pass');
+});
+
+test('a "to" event before the "from" event is uncertain', () => {
+  const m = measureTiming({ minSeconds: null, maxSeconds: 5 }, { from: seen(6), to: seen(2) }, allShown);
+  assert.equal(m.result, 'uncertain');
+  assert.equal(m.measuredSeconds, -4);
+  assert.match(m.reason, /before the "from" event/);
+});
+
+test('unobserved or hallucinated events are not measured', () => {
+  const timing = { minSeconds: null, maxSeconds: 5 };
+  const missing = measureTiming(timing, { from: seen(1), to: { observed: false, timestampSeconds: null, description: '' } }, allShown);
+  assert.equal(missing.result, 'not-measured');
+  assert.match(missing.reason, /"to" event was not observed/);
+  assert.equal(measureTiming(timing, { from: null, to: seen(2) }, allShown).result, 'not-measured');
+
+  const hallucinated = measureTiming(timing, { from: seen(1, { hallucinated: true }), to: seen(2) }, allShown);
+  assert.equal(hallucinated.result, 'not-measured');
+  assert.match(hallucinated.reason, /"from" event/);
+});
+
+test('precision comes from the frames shown, not every extracted frame', () => {
+  // The model saw every fifth frame: an event first seen at 5 happened after 0.
+  const shown = frames.filter((f) => f.frameIndex % 5 === 0);
+  const m = measureTiming({ minSeconds: null, maxSeconds: 7 }, { from: seen(5), to: seen(10) }, { shown, all: frames });
+  assert.equal(m.measuredSeconds, 5);
+  assert.equal(m.minPossibleSeconds, 0);
+  assert.equal(m.maxPossibleSeconds, 10);
+  assert.equal(m.result, 'uncertain');
+});
+
+test('events are matched by frameIndex first, then by the closest shown timestamp', () => {
+  const shown = frames.filter((f) => f.frameIndex % 5 === 0);
+  // frameIndex 3 was extracted but not shown; it is still used.
+  const byIndex = measureTiming({ minSeconds: null, maxSeconds: null }, { from: seen(3), to: seen(10) }, { shown, all: frames });
+  assert.equal(byIndex.fromSeconds, 3);
+
+  const byTime = measureTiming(
+    { minSeconds: null, maxSeconds: null },
+    { from: { observed: true, timestampSeconds: 4.2, description: '' }, to: seen(10) },
+    { shown, all: frames },
+  );
+  assert.equal(byTime.fromSeconds, 5);
+  assert.equal(byTime.result, 'pass');
+});
+
+test('events that match no frame are not measured', () => {
+  const m = measureTiming(
+    { minSeconds: null, maxSeconds: 5 },
+    { from: { observed: true, timestampSeconds: null, frameIndex: 99, description: '' }, to: seen(2) },
+    allShown,
+  );
+  assert.equal(m.result, 'not-measured');
+  assert.match(m.reason, /could not be matched/);
+});